@@ -1,551 +1,334 @@
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-
-const subtle = crypto.webcrypto.subtle;
+const util = require('util');
+const {
+    analyze, recompile, verify, watch, buildDependencyGraph, formatGraph, loadConfigFile, validateOptions, createLogger,
+    ConfigError, BuildError, CONFIG_FILE_NAME, LOG_LEVELS, SECRET_ENV_VARIABLE, GRAPH_FORMATS
+} = require('./builder');
+
+const USAGE = `Usage: node RouterCallsCreator.js [options] [path-to-project-folder]
+       node RouterCallsCreator.js graph [options] [path-to-project-folder]
+       node RouterCallsCreator.js verify [options] [path-to-project-folder]
+
+Recompiles the project (default: ./) into the output folder, encrypting routerForwardCall
+invocations and updating Router.js.
+The graph command only analyzes the project and exports its file-level dependency graph.
+The verify command checks the output folder as Router.js would in the browser: file hashes,
+decryption of every protected call and existence of the called functions.
+
+Options:
+  -o, --out-dir <dir>       Output folder inside the project, relative to it (default: "recompiled")
+  -r, --router <file>       Router file name, or its path relative to the project folder (default: "Router.js")
+      --ext <ext>           Extension of the JavaScript files to analyze, repeatable (default: ".js", ".mjs")
+  -i, --include <glob>      Only analyze files matching the glob, repeatable (default: "**")
+  -e, --exclude <glob>      Skip files matching the glob, repeatable (default: "node_modules", "vendor")
+  -p, --protect <name>      Protect the calls to a function, as if it were annotated with @protect; repeatable
+      --page <glob>         HTML pages whose scripts are the entry points, repeatable (default: "**/*.html", "**/*.htm")
+      --asset <glob>        Other files whose integrity Router.js checks (e.g. "**/*.css", images), repeatable
+      --no-inject-router    Only check the Router.js <script> tag of the pages, without injecting it where missing
+  -c, --config <file>       Config file (default: <project>/${CONFIG_FILE_NAME} if present)
+  -l, --log-level <level>   One of ${LOG_LEVELS.join(', ')} (default: "info"); key material is never logged
+  -n, --dry-run             Run the whole build without writing any file
+      --cache-file <file>   Build cache, relative to the project folder (default: ".antiplagiarism-cache.json")
+      --no-cache            Ignore the build cache: re-key everything and rewrite the whole output folder
+      --manifest <file>     Build manifest, relative to the project folder (default: "antiplagiarism-manifest.json")
+      --no-manifest         Do not write the build manifest
+      --keystore <file>     Also write the key material of the build to <file>, relative to the project folder
+                            (a secret debug artifact: never commit nor deploy it)
+      --deterministic       Derive salts and IVs from the project secret instead of random bytes: the same
+                            sources and secret always give byte-identical output
+      --secret-file <file>  Project secret of --deterministic when ${SECRET_ENV_VARIABLE} is not set, relative to
+                            the project folder (default: ".antiplagiarism-secret"; never commit nor deploy it)
+      --minify              Minify the scripts loaded by the pages (Router.js excluded) before protecting them;
+                            needs terser ("npm install terser")
+      --source-maps         Write a source map next to every recompiled script, leading back to its source
+      --sri                 Add integrity (Subresource Integrity) and crossorigin attributes to the <script>
+                            and <link> tags of the recompiled pages loading project files
+  -w, --watch               After the build, watch the project folder and rebuild on every change
+      --debounce <ms>       Watch mode: wait for <ms> milliseconds without changes before rebuilding (default: 300)
+  -h, --help                Show this help
+
+Graph options:
+      --format <format>     One of ${GRAPH_FORMATS.join(', ')} (default: "dot")
+      --output <file>       Write the graph to <file> instead of the standard output
+`;
 
 /**
- * Recursively retrieves all .js files from a directory,
- * converting file paths to absolute paths.
+ * Parses the command-line arguments.
+ * Returns { command, folderPath, configPath, help, watch, graph, options } where command is "build", "graph" or "verify",
+ * graph holds the { format, output } of the graph command and options only holds the flags actually given.
  */
-function getJsFiles(dir) {
-    let results = [];
-    const list = fs.readdirSync(dir);
-    list.forEach(file => {
-        const filePath = path.join(dir, file);
-        const stat = fs.statSync(filePath);
-        if (stat && stat.isDirectory()) {
-            results = results.concat(getJsFiles(filePath));
-        } else {
-            if (path.extname(file) === '.js') {
-                results.push(path.resolve(filePath));
+function parseCliArguments(argv) {
+    let parsed;
+    try {
+        parsed = util.parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                'out-dir': { type: 'string', short: 'o' },
+                'router': { type: 'string', short: 'r' },
+                'ext': { type: 'string', multiple: true },
+                'include': { type: 'string', short: 'i', multiple: true },
+                'exclude': { type: 'string', short: 'e', multiple: true },
+                'protect': { type: 'string', short: 'p', multiple: true },
+                'page': { type: 'string', multiple: true },
+                'asset': { type: 'string', multiple: true },
+                'no-inject-router': { type: 'boolean' },
+                'config': { type: 'string', short: 'c' },
+                'log-level': { type: 'string', short: 'l' },
+                'dry-run': { type: 'boolean', short: 'n' },
+                'cache-file': { type: 'string' },
+                'no-cache': { type: 'boolean' },
+                'manifest': { type: 'string' },
+                'no-manifest': { type: 'boolean' },
+                'keystore': { type: 'string' },
+                'deterministic': { type: 'boolean' },
+                'secret-file': { type: 'string' },
+                'minify': { type: 'boolean' },
+                'source-maps': { type: 'boolean' },
+                'sri': { type: 'boolean' },
+                'watch': { type: 'boolean', short: 'w' },
+                'debounce': { type: 'string' },
+                'format': { type: 'string' },
+                'output': { type: 'string' },
+                'help': { type: 'boolean', short: 'h' }
             }
-        }
-    });
-    return results;
-}
-
-/**
- * Extracts declared function names from file content.
- * Looks for function declarations in the format: function functionName( ... )
- */
-function getDeclaredFunctions(content) {
-    const regexDeclaration = /function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(/g;
-    const declared = new Set();
-    let match;
-    while ((match = regexDeclaration.exec(content)) !== null) {
-        declared.add(match[1]);
+        });
+    } catch (err) {
+        throw new ConfigError(err.message);
     }
-    return declared;
-}
-
-/**
- * Extracts called function names from file content.
- * Looks for occurrences in the format: functionName(
- */
-function getCalledFunctions(content) {
-    const regexCall = /(\b[a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(/g;
-    const calls = new Set();
-    let match;
-    while ((match = regexCall.exec(content)) !== null) {
-        calls.add(match[1]);
+    const { values } = parsed;
+    // A project folder named "graph" or "verify" can still be given as "./graph"
+    const command = ['graph', 'verify'].includes(parsed.positionals[0]) ? parsed.positionals[0] : 'build';
+    const positionals = command === 'build' ? parsed.positionals : parsed.positionals.slice(1);
+    if (command !== 'build' && values['watch']) {
+        throw new ConfigError(`--watch cannot be used with the ${command} command`);
     }
-    return calls;
-}
-
-/**
- * Analyzes a given folder to build:
- *  - A dependency tree (dependencyTree)
- *  - A dependency matrix (dependencyMatrix) containing relationships (from, to, function)
- *  - A fileContents object mapping file paths to their content.
- *
- * For routerForwardCall calls (expected format:
- *   window["routerForwardCall"]("file3-funzioneDiFile3-null-null")
- * ), it extracts the file name (up to the first dash) from the parameter,
- * finds the corresponding file in the project, adds it as a dependency, and recursively analyzes it.
- *
- * NOTE: Files inside the "recompiled" folder are filtered out.
- */
-function analyzeDependencies(folderPath) {
-    const recompiledFolderPath = path.resolve(folderPath, 'recompiled');
-    let allFiles = getJsFiles(folderPath).filter(file => !file.startsWith(recompiledFolderPath));
-
-    // Create an index mapping base file name (without .js) to absolute file path
-    const fileBaseIndex = {};
-    allFiles.forEach(file => {
-        const base = path.basename(file, '.js');
-        fileBaseIndex[base] = file;
-    });
-
-    // Cache file contents and declared functions for each file
-    const fileContents = {};
-    const fileDeclarations = {};
-    allFiles.forEach(file => {
-        try {
-            const content = fs.readFileSync(file, 'utf8');
-            fileContents[file] = content;
-            fileDeclarations[file] = getDeclaredFunctions(content);
-        } catch (err) {
-            console.error(`Error reading file ${file}:`, err);
-        }
-    });
-
-    // Build a global index: function name => file (first occurrence)
-    const globalFunctionIndex = {};
-    allFiles.forEach(file => {
-        fileDeclarations[file].forEach(fnName => {
-            if (!globalFunctionIndex[fnName]) {
-                globalFunctionIndex[fnName] = file;
-            }
-        });
-    });
-
-    // Dependency matrix: each element is an object { from, to, function }
-    const dependencyMatrix = [];
-
-    /**
-     * Recursively processes a file and returns an object with the structure:
-     * { routerDependant: <true|false>, dependencies: { "<otherFile.js>": { ... } } }
-     * The "visited" set prevents cycles.
-     */
-    function processFile(file, visited = new Set()) {
-        if (visited.has(file)) return;
-        visited.add(file);
-
-        if (!(file in fileContents)) {
-            console.warn(`Content not found for file: ${file}`);
-            return;
+    if (positionals.length > 1) {
+        throw new ConfigError(`Expected at most one project folder, got: ${positionals.join(' ')}`);
+    }
+    const options = {};
+    if (values['out-dir'] !== undefined) options.outDir = values['out-dir'];
+    if (values['router'] !== undefined) options.routerFile = values['router'];
+    if (values['ext'] !== undefined) options.extensions = values['ext'];
+    if (values['include'] !== undefined) options.include = values['include'];
+    if (values['exclude'] !== undefined) options.exclude = values['exclude'];
+    if (values['protect'] !== undefined) options.protect = values['protect'];
+    if (values['page'] !== undefined) options.pages = values['page'];
+    if (values['asset'] !== undefined) options.assets = values['asset'];
+    if (values['no-inject-router'] !== undefined) options.injectRouter = !values['no-inject-router'];
+    if (values['log-level'] !== undefined) options.logLevel = values['log-level'];
+    if (values['dry-run'] !== undefined) options.dryRun = values['dry-run'];
+    if (values['cache-file'] !== undefined) options.cacheFile = values['cache-file'];
+    if (values['no-cache'] !== undefined) options.cache = !values['no-cache'];
+    if (values['manifest'] !== undefined) options.manifestFile = values['manifest'];
+    if (values['no-manifest'] !== undefined) options.manifest = !values['no-manifest'];
+    if (values['keystore'] !== undefined) {
+        options.keystore = true;
+        options.keystoreFile = values['keystore'];
+    }
+    if (values['deterministic'] !== undefined) options.deterministic = values['deterministic'];
+    if (values['secret-file'] !== undefined) options.secretFile = values['secret-file'];
+    if (values['minify'] !== undefined) options.minify = values['minify'];
+    if (values['source-maps'] !== undefined) options.sourceMaps = values['source-maps'];
+    if (values['sri'] !== undefined) options.sri = values['sri'];
+    if (values['debounce'] !== undefined) {
+        if (!/^\d+$/.test(values['debounce'])) {
+            throw new ConfigError(`Invalid --debounce value "${values['debounce']}": expected a number of milliseconds`);
         }
-        const content = fileContents[file];
-
-        // Determine if the file is router-dependent
-        const routerDependant =
-            content.includes('window["routerForwardCall"]') ||
-            content.includes("window['routerForwardCall']");
-
-        const dependencies = {};
-
-        // --- Case 1: Process routerForwardCall calls ---
-        const routerCallRegex = /window\[\s*["']routerForwardCall["']\s*\]\(\s*["']([^-"']+)/g;
-        let match;
-        while ((match = routerCallRegex.exec(content)) !== null) {
-            const fileBase = match[1];
-            const dependentFile = fileBaseIndex[fileBase];
-            if (dependentFile && dependentFile !== file && !visited.has(dependentFile)) {
-                dependencyMatrix.push({ from: file, to: dependentFile, function: `routerForwardCall(${fileBase})` });
-                const child = processFile(dependentFile, new Set(visited));
-                if (child) {
-                    dependencies[dependentFile] = child;
-                }
-            }
+        options.watchDebounce = Number(values['debounce']);
+    }
+    if (command === 'graph') {
+        if (values['format'] !== undefined && !GRAPH_FORMATS.includes(values['format'])) {
+            throw new ConfigError(`Invalid --format value "${values['format']}": expected one of ${GRAPH_FORMATS.join(', ')}`);
         }
-
-        // --- Case 2: Process normal function calls ---
-        const calledFunctions = getCalledFunctions(content);
-        calledFunctions.forEach(fnName => {
-            if (fileDeclarations[file].has(fnName)) return;
-            if (globalFunctionIndex[fnName] && allFiles.includes(globalFunctionIndex[fnName])) {
-                const dependentFile = globalFunctionIndex[fnName];
-                if (dependentFile !== file && !visited.has(dependentFile)) {
-                    dependencyMatrix.push({ from: file, to: dependentFile, function: fnName });
-                    const child = processFile(dependentFile, new Set(visited));
-                    if (child) {
-                        dependencies[dependentFile] = child;
-                    }
-                }
-            }
-        });
-
-        return { routerDependant, dependencies };
+    } else if (values['format'] !== undefined || values['output'] !== undefined) {
+        throw new ConfigError(`--${values['format'] !== undefined ? 'format' : 'output'} can only be used with the graph command`);
     }
-
-    const dependencyTree = {};
-    allFiles.forEach(file => {
-        dependencyTree[file] = processFile(file, new Set());
-    });
-
-    return { dependencyTree, dependencyMatrix, fileContents, fileBaseIndex };
+    return {
+        command,
+        folderPath: positionals[0] || '.',
+        configPath: values['config'],
+        help: !!values['help'],
+        watch: !!values['watch'],
+        graph: { format: values['format'] || 'dot', output: values['output'] },
+        options
+    };
 }
 
 /**
- * Converts a hex string to a Uint8Array.
+ * Command-line entry point: reads the arguments and the config file, then runs the build
+ * (or the graph and verify commands) through the builder API and prints a summary.
  */
-function hexStringToUint8Array(hexString) {
-    if (hexString.length % 2 !== 0) {
-        throw "Invalid hexString";
+async function main(argv) {
+    const cli = parseCliArguments(argv);
+    if (cli.help) {
+        process.stdout.write(USAGE);
+        return;
     }
-    const array = new Uint8Array(hexString.length / 2);
-    for (let i = 0; i < hexString.length; i += 2) {
-        array[i / 2] = parseInt(hexString.substr(i, 2), 16);
+    const folderPath = path.resolve(cli.folderPath);
+    const { file: configFile, config } = loadConfigFile(folderPath, cli.configPath);
+    validateOptions(config, configFile || 'config file');
+    validateOptions(cli.options, 'command-line arguments');
+    const options = { ...config, ...cli.options };
+
+    if (cli.command === 'graph') {
+        exportGraph(folderPath, options, cli.graph);
+        return;
     }
-    return array;
-}
-
-/**
- * XOR two Uint8Arrays of equal length.
- */
-function xorBuffers(a, b) {
-    if (a.length !== b.length) {
-        throw "Arrays must be of equal length";
-    }
-    const result = new Uint8Array(a.length);
-    for (let i = 0; i < a.length; i++) {
-        result[i] = a[i] ^ b[i];
+    if (cli.command === 'verify') {
+        await verifyOutput(folderPath, options);
+        return;
     }
-    return result;
-}
 
-/**
- * Converts a Uint8Array to a hex string.
- */
-function uint8ArrayToHexString(uint8arr) {
-    return Array.from(uint8arr)
-        .map(b => ('00' + b.toString(16)).slice(-2))
-        .join('');
-}
+    const log = createLogger(options.logLevel || 'info');
+    if (configFile) log.info(`Using config file: ${configFile}`);
+    if (options.dryRun) log.info('Dry run: no file will be written.');
 
-/**
- * Recursively collects SHA-256 hashes from dependencies that are non router-dependent.
- */
-function collectHashesFromDependencies(dependencies, visited, fileContents) {
-    let collected = {};
-    for (const depFile in dependencies) {
-        if (visited.has(depFile)) continue;
-        visited.add(depFile);
-        const depNode = dependencies[depFile];
-        if (!depNode.routerDependant) {
-            if (fileContents[depFile]) {
-                // Compute SHA-256 hash as a hex string and convert to Uint8Array.
-                const hashHex = crypto.createHash('sha256').update(fileContents[depFile]).digest('hex');
-                const hashUint8 = hexStringToUint8Array(hashHex);
-                collected[depFile] = hashUint8;
-            }
-        }
-        const subCollected = collectHashesFromDependencies(depNode.dependencies, visited, fileContents);
-        for (const key in subCollected) {
-            collected[key] = subCollected[key];
-        }
+    const skip = configFile ? [configFile] : [];
+    const result = await recompile(folderPath, { ...options, logger: log, skip });
+    printBuildReport(result, options, log);
+
+    if (cli.watch) {
+        watchProject(folderPath, options, skip, log);
     }
-    return collected;
 }
 
 /**
- * Generates a random Uint8Array of length n.
+ * Formats a count with the singular or plural form of a noun, e.g. "1 file", "2 files".
  */
-function randomBytesUint8Array(n) {
-    let arr = new Uint8Array(n);
-    crypto.randomFillSync(arr);
-    return arr;
+function count(n, singular, plural = singular + 's') {
+    return `${n} ${n === 1 ? singular : plural}`;
 }
 
 /**
- * Computes the encryption key for a router-dependent file.
- * For a given router file, it recursively collects SHA-256 hashes of all non router-dependent dependencies,
- * XORs all the hashes together, then XORs the result with a randomly generated 32-byte mask.
- * This final value is our 256-bit encryption key.
+ * Graph command: analyzes the project and writes its dependency graph to graph.output, or to the
+ * standard output (the log messages then go to stderr, to keep the graph clean).
  */
-function computeKeyForRouterFile(routerFile, routerNode, fileContents) {
-    const collectedHashes = collectHashesFromDependencies(routerNode.dependencies, new Set(), fileContents);
-    let xorResult = new Uint8Array(32); // 32-byte array of zeros
-    for (const file in collectedHashes) {
-        xorResult = xorBuffers(xorResult, collectedHashes[file]);
+function exportGraph(folderPath, options, graphOptions) {
+    const log = graphOptions.output
+        ? createLogger(options.logLevel || 'info')
+        : createLogger(options.logLevel || 'info', new console.Console({ stdout: process.stderr, stderr: process.stderr }));
+    const graph = buildDependencyGraph(analyze(folderPath, { ...options, logger: log }));
+    const content = formatGraph(graph, graphOptions.format);
+    const summary = [
+        count(graph.nodes.length, 'file'),
+        count(graph.edges.length, 'dependency', 'dependencies'),
+        count(graph.cycles.length, 'cycle')
+    ].join(', ');
+    if (graphOptions.output) {
+        const outputFile = path.resolve(graphOptions.output);
+        fs.writeFileSync(outputFile, content, 'utf8');
+        log.info(`Dependency graph (${summary}) written to: ${outputFile}`);
+    } else {
+        process.stdout.write(content);
+        log.info(`Dependency graph: ${summary}`);
     }
-    const mask = randomBytesUint8Array(32);
-    const finalKey = xorBuffers(xorResult, mask);
-    return {
-        routerFile,
-        collectedHashes: Object.fromEntries(
-            Object.entries(collectedHashes).map(([file, arr]) => [path.basename(file), uint8ArrayToHexString(arr)])
-        ),
-        xorOfHashes: uint8ArrayToHexString(xorResult),
-        mask: uint8ArrayToHexString(mask),
-        key: uint8ArrayToHexString(finalKey),
-        encryptedCalls: {} // Now an object indexed numerically
-    };
+    graph.cycles.forEach(cycle => log.info(`Dependency cycle: ${cycle.join(', ')}`));
 }
 
 /**
- * Asynchronously encrypts a given text using AES-256-CBC with the provided 32-byte key.
- * A new 16-byte IV is generated for each encryption.
- * The final output is the ciphertext encoded in base64.
- * The IV is not concatenated to the ciphertext.
- * This function uses the Web Crypto API.
+ * Verify command: checks the output folder and lists the offending files and call sites;
+ * the exit code is 1 when anything fails.
  */
-async function encryptText(text, keyUint8) {
-    const iv = randomBytesUint8Array(16);
-    const cryptoKey = await subtle.importKey(
-        "raw",
-        keyUint8,
-        { name: "AES-CBC" },
-        false,
-        ["encrypt"]
-    );
-    const encoder = new TextEncoder();
-    const data = encoder.encode(text);
-    const encryptedBuffer = await subtle.encrypt(
-        { name: "AES-CBC", iv: iv },
-        cryptoKey,
-        data
-    );
-    const encryptedUint8 = new Uint8Array(encryptedBuffer);
-    return {
-        result: uint8ArrayToBase64(encryptedUint8),
-        iv: uint8ArrayToBase64(iv),
-        ciphertext: uint8ArrayToBase64(encryptedUint8)
-    };
-}
-
-/**
- * Helper: Converts a Uint8Array to a base64 string.
- */
-function uint8ArrayToBase64(uint8arr) {
-    let binary = "";
-    for (let i = 0; i < uint8arr.length; i++) {
-        binary += String.fromCharCode(uint8arr[i]);
+async function verifyOutput(folderPath, options) {
+    const log = createLogger(options.logLevel || 'info');
+    const result = await verify(folderPath, { ...options, logger: log });
+    result.failures.forEach(failure => log.error(`${failure.location}: ${failure.message}`));
+    const checked = `${count(result.checkedFiles, 'file hash', 'file hashes')} and ${count(result.checkedCalls, 'protected call')} of ${result.outDir}`;
+    if (result.failures.length > 0) {
+        log.error(`Verification failed: ${result.failures.length} problem${result.failures.length === 1 ? '' : 's'} found checking ${checked}`);
+        process.exitCode = 1;
+    } else {
+        log.info(`Verified ${checked}: every hash matches and every call decrypts, at its own call site, to a declared function`);
     }
-    return btoa(binary);
 }
 
 /**
- * Empties (removes all files and subfolders) the specified folder.
+ * Prints the concise report of a build. The dependency tree and matrix are only printed at the
+ * "debug" level; the key material never is (see the --keystore option).
  */
-function emptyFolder(folder) {
-    if (fs.existsSync(folder)) {
-        fs.rmSync(folder, { recursive: true, force: true });
+function printBuildReport(result, options, log) {
+    const toRelative = file => path.relative(result.folderPath, file).split(path.sep).join('/');
+    result.protectedCalls.forEach(call => log.debug(`Protected call rewritten at ${call.location}`));
+
+    // Debug: Print dependency tree and matrix (simplified with project-relative paths)
+    log.debug("Dependency Tree:");
+    log.debug(JSON.stringify(result.dependencyTree, null, 2));
+    const simplifiedMatrix = result.dependencyMatrix.map(rel => ({
+        From: toRelative(rel.from),
+        To: toRelative(rel.to),
+        Function: rel.function
+    }));
+    log.debug("\nDependency Matrix:");
+    log.table(simplifiedMatrix);
+
+    if (options.dryRun) {
+        Object.keys(result.outputs).forEach(outputPath => log.debug(`Would write: ${outputPath}`));
+        log.info(`Dry run: ${count(Object.keys(result.outputs).length, 'generated file')} would be written to ${result.outDir}`);
+    } else {
+        result.writtenFiles.forEach(outputPath => log.debug(`Written: ${outputPath}`));
+        result.removedFiles.forEach(outputPath => log.debug(`Removed: ${outputPath}`));
+        log.info(`Recompiled folder is ready at: ${result.outDir} (${count(result.writtenFiles.length, 'file')} written, ${result.removedFiles.length} removed)`);
     }
+    const details = [
+        `${count(Object.keys(result.dependencyTree).length, 'file')} loaded by the pages`,
+        count(result.manifest.calls.length, 'encrypted call'),
+        result.protectedCalls.length && `${count(result.protectedCalls.length, 'protected call')} rewritten`,
+        result.injectedPages.length && `Router.js injected into ${count(result.injectedPages.length, 'page')}`,
+        result.unreferencedFiles.length && `${count(result.unreferencedFiles.length, 'file')} not loaded by any page`,
+        result.warnings.length && count(result.warnings.length, 'warning')
+    ].filter(Boolean);
+    log.info(details.join(', '));
+    log.info(formatRekeyedSummary(result));
+    if (result.manifestFile) log.info(`Manifest written to: ${result.manifestFile}`);
+    if (result.keystoreFile) log.info(`Key material written to: ${result.keystoreFile} (secret: never commit nor deploy it)`);
 }
 
 /**
- * Recursively copies all files and subfolders from src to dest,
- * preserving folder structure.
+ * Formats the list of re-keyed files of a build, e.g. "Re-keyed 1 of 3 router-dependent files: file2.js".
  */
-function copyFolderRecursive(src, dest) {
-    if (!fs.existsSync(dest)) {
-        fs.mkdirSync(dest, { recursive: true });
-    }
-    const entries = fs.readdirSync(src, { withFileTypes: true });
-    for (const entry of entries) {
-        const srcPath = path.join(src, entry.name);
-        const destPath = path.join(dest, entry.name);
-        // Skip if the file is the current script (using __filename)
-        if (!entry.isDirectory() && path.basename(srcPath) === path.basename(__filename)) {
-            continue;
-        }
-        // Also, skip if srcPath equals the destination folder (to avoid recursion)
-        if (path.resolve(srcPath) === path.resolve(dest)) {
-            continue;
-        }
-        if (entry.isDirectory()) {
-            copyFolderRecursive(srcPath, destPath);
-        } else {
-            fs.copyFileSync(srcPath, destPath);
-        }
-    }
+function formatRekeyedSummary(result) {
+    const rekeyed = result.rekeyedFiles.map(file => path.relative(result.folderPath, file).split(path.sep).join('/'));
+    return `Re-keyed ${rekeyed.length} of ${Object.keys(result.encryptionKeys).length} router-dependent files${rekeyed.length ? ': ' + rekeyed.join(', ') : ''}`;
 }
 
-// -----------------------------------------------------------------------------
-// Main execution
-const folderPath = process.argv[2] || '.';
-const recompiledFolder = path.join(path.resolve(folderPath), 'recompiled');
-
-// Empty (or create) the "recompiled" folder
-emptyFolder(recompiledFolder);
-fs.mkdirSync(recompiledFolder, { recursive: true });
-console.log(`Recompiled folder is ready at: ${recompiledFolder}`);
-
-// Copy entire folder structure (excluding the recompiled folder) to recompiledFolder
-copyFolderRecursive(folderPath, recompiledFolder);
-
-const { dependencyTree, dependencyMatrix, fileContents, fileBaseIndex } = analyzeDependencies(folderPath);
-
-// Debug: Print dependency tree and matrix (simplified with base file names)
-console.log("Dependency Tree:");
-console.log(JSON.stringify(dependencyTree, null, 2));
-const simplifiedMatrix = dependencyMatrix.map(rel => ({
-    From: path.basename(rel.from),
-    To: path.basename(rel.to),
-    Function: rel.function
-}));
-console.log("\nDependency Matrix:");
-console.table(simplifiedMatrix);
-
-// Prepare an object to hold encryption key details for each router-dependent file
-const encryptionKeys = {};
-
-// Process each file in the dependency tree that is router-dependent
-for (const file in dependencyTree) {
-    if (dependencyTree[file].routerDependant) {
-        const baseName = path.basename(file);
-        console.log(`Found router-dependent file: ${file}`);
-        encryptionKeys[baseName] = computeKeyForRouterFile(file, dependencyTree[file], fileContents);
-    }
-}
-
-console.log("\nEncryption Keys (before processing router calls):");
-console.log(JSON.stringify(encryptionKeys, null, 2));
-
 /**
- * For each router-dependent file, searches for routerForwardCall invocations,
- * encrypts the first parameter (the string inside the quotes) using the computed key,
- * and updates the file in the "recompiled" folder (preserving its relative structure)
- * with the encrypted strings replacing the original.
- * The second parameter, if present, is left unchanged.
- * Also, saves the IV and ciphertext details (in base64) into the encryptionKeys object,
- * using a numeric index that indicates the order of the calls.
+ * Watch mode: rebuilds the project after every change and prints a one-line summary per rebuild.
+ * Rebuild errors are printed without stopping the watcher; Ctrl+C stops it.
  */
-async function recompileRouterFiles() {
-    for (const baseName in encryptionKeys) {
-        // Retrieve the full path for the router file via reverse lookup using fileContents.
-        const routerFile = Object.keys(fileContents).find(f => path.basename(f) === baseName);
-        if (!routerFile) continue;
-
-        const originalContent = fileContents[routerFile];
-        const keyUint8 = hexStringToUint8Array(encryptionKeys[baseName].key);
-
-        encryptionKeys[baseName].encryptedCalls = {};
-        let callIndex = 1;
-
-        // Updated regex:
-        // Group 1: first parameter (to encrypt)
-        // Group 2: second parameter (callee) – always present in this case
-        // Group 3: optional extra parameters (including the comma and subsequent parameters)
-        const routerCallRegex = /window\[\s*["']routerForwardCall["']\s*\]\(\s*["']([^"']+)["']\s*,\s*["']([^"']+)["']\s*(,.*)?\)/g;
-        let modifiedContent = originalContent;
-        const matches = Array.from(originalContent.matchAll(routerCallRegex));
-        for (const match of matches) {
-            const fullMatch = match[0];
-            const p1 = match[1]; // string to encrypt
-            const p2 = match[2]; // callee (always present)
-            const extraParams = match[3] || ""; // e.g. ", param1, param2" (already includes a comma)
-            console.log(`Encrypting parameter "${p1}" in file ${baseName}`);
-            const encryptionResult = await encryptText(p1, keyUint8);
-            encryptionKeys[baseName].encryptedCalls[callIndex] = {
-                original: p1,
-                iv: encryptionResult.iv,
-                ciphertext: encryptionResult.ciphertext,
-                encryptedResult: encryptionResult.result
-            };
-            callIndex++;
-            // Build the replacement: note how il secondo parametro (p2) è chiuso tra virgolette
-            // e gli extra parametri vengono aggiunti fuori dalle virgolette.
-            const replacement = `window["routerForwardCall"]("${encryptionResult.result}", "${p2}"${extraParams})`;
-            modifiedContent = modifiedContent.replace(fullMatch, replacement);
+function watchProject(folderPath, options, skip, log) {
+    // Rebuilds only print warnings and errors, unless debug output was requested
+    const buildLog = options.logLevel === 'debug' || options.logLevel === 'silent' || options.logLevel === 'error'
+        ? log
+        : createLogger('warn');
+    const watcher = watch(folderPath, { ...options, logger: buildLog, skip }, (err, result, changedFiles) => {
+        const time = new Date().toLocaleTimeString();
+        const changed = changedFiles.map(file => path.relative(folderPath, file)).join(', ') || 'unknown files';
+        if (err) {
+            log.error(`[${time}] Rebuild after changes to ${changed} failed: ${err.message}`);
+            return;
         }
-        const relativePath = path.relative(folderPath, routerFile);
-        const newFilePath = path.join(recompiledFolder, relativePath);
-        fs.mkdirSync(path.dirname(newFilePath), { recursive: true });
-        fs.writeFileSync(newFilePath, modifiedContent, 'utf8');
-        console.log(`Recompiled file written to: ${newFilePath}`);
-    }
+        const written = options.dryRun ? 'dry run' : `${result.writtenFiles.length} written, ${result.removedFiles.length} removed`;
+        log.info(`[${time}] Rebuilt after changes to ${changed} (${written}). ${formatRekeyedSummary(result)}`);
+    });
+    log.info(`Watching ${folderPath} for changes (press Ctrl+C to stop)...`);
+    process.once('SIGINT', () => {
+        watcher.close();
+        log.info('Stopped watching.');
+    });
 }
 
-
-// Run the recompile process
-(async () => {
-    await recompileRouterFiles();
-
-    console.log("\nEncryption Keys (after processing router calls):");
-    console.log(JSON.stringify(encryptionKeys, null, 2));
-
-    /**
-     * Builds an object mapping each file to an object where each key is the ciphertext (encrypted string)
-     * and its value is the corresponding IV. Also includes the "mask" property.
-     */
-    const mapping = {};
-    for (const file in encryptionKeys) {
-        mapping[file] = {};
-        mapping[file]["mask"] = encryptionKeys[file].mask;
-        const calls = encryptionKeys[file].encryptedCalls;
-        if (calls && typeof calls === "object") {
-            for (const index in calls) {
-                const call = calls[index];
-                mapping[file][call.ciphertext] = call.iv;
-            }
-        }
-    }
-    console.log("\nMapping Object:");
-    console.log(JSON.stringify(mapping, null, 2));
-    const ivs_mapping = JSON.stringify(mapping, null, 2);
-    const ivs_mapping_base64 = uint8ArrayToBase64(new TextEncoder().encode(ivs_mapping));
-    console.log("\nIVS Mapping Object (base64 encoded):");
-    console.log(ivs_mapping_base64);
-
-    const dependency_tree = JSON.stringify(dependencyTree, null, 2);
-    const dependency_tree_base64 = uint8ArrayToBase64(new TextEncoder().encode(dependency_tree));
-    console.log("\nDependency Tree Object (base64 encoded):");
-    console.log(dependency_tree_base64);
-
-    /**
-     * Updates the Router.js file.
-     * - Recursively finds all Router.js files in the project (excluding recompiled folder),
-     *   preserves their relative folder structure, and updates them with the new declarations:
-     *   IVS_MAPPING_BASE64, DEPENDENCY_TREE_BASE64, and PRECOMPUTED_HASHES_BASE64.
-     * - The updated files are written into the "recompiled" folder, preserving structure.
-     */
-    function updateRouterJS() {
-        // Find all Router.js files (excluding those in recompiledFolder)
-        const routerFiles = getJsFiles(folderPath).filter(file => {
-            return path.basename(file) === 'Router.js' && !file.startsWith(path.resolve(folderPath, 'recompiled'));
-        });
-        if (routerFiles.length === 0) {
-            console.warn(`No Router.js found in ${folderPath}. Creating a new Router.js at the root of recompiled folder.`);
-            let routerContent = "";
-            const ivsDeclaration = `const IVS_MAPPING_BASE64 = "${ivs_mapping_base64}";\n`;
-            const depTreeDeclaration = `const DEPENDENCY_TREE_BASE64 = "${dependency_tree_base64}";\n`;
-            const precomputedHashesDeclaration = `const PRECOMPUTED_HASHES_BASE64 = "${uint8ArrayToBase64(new TextEncoder().encode(JSON.stringify(computeHashesForJsFiles())))}";\n`;
-            routerContent = ivsDeclaration + depTreeDeclaration + precomputedHashesDeclaration + routerContent;
-            const newRouterPath = path.join(recompiledFolder, 'Router.js');
-            fs.writeFileSync(newRouterPath, routerContent, 'utf8');
-            console.log(`New Router.js written to: ${newRouterPath}`);
-        } else {
-            routerFiles.forEach(originalRouterPath => {
-                let routerContent = fs.readFileSync(originalRouterPath, 'utf8');
-                const ivsDeclaration = `const IVS_MAPPING_BASE64 = "${ivs_mapping_base64}";\n`;
-                const depTreeDeclaration = `const DEPENDENCY_TREE_BASE64 = "${dependency_tree_base64}";\n`;
-                const precomputedHashesDeclaration = `const PRECOMPUTED_HASHES_BASE64 = "${uint8ArrayToBase64(new TextEncoder().encode(JSON.stringify(computeHashesForJsFiles())))}";\n`;
-                if (/^const\s+IVS_MAPPING_BASE64\s*=.*/m.test(routerContent)) {
-                    routerContent = routerContent.replace(/^const\s+IVS_MAPPING_BASE64\s*=.*/m, ivsDeclaration.trim());
-                } else {
-                    routerContent = ivsDeclaration + routerContent;
-                }
-                if (/^const\s+DEPENDENCY_TREE_BASE64\s*=.*/m.test(routerContent)) {
-                    routerContent = routerContent.replace(/^const\s+DEPENDENCY_TREE_BASE64\s*=.*/m, depTreeDeclaration.trim());
-                } else {
-                    routerContent = depTreeDeclaration + routerContent;
-                }
-                if (/^const\s+PRECOMPUTED_HASHES_BASE64\s*=.*/m.test(routerContent)) {
-                    routerContent = routerContent.replace(/^const\s+PRECOMPUTED_HASHES_BASE64\s*=.*/m, precomputedHashesDeclaration.trim());
-                } else {
-                    routerContent = precomputedHashesDeclaration + routerContent;
-                }
-                const relPath = path.relative(folderPath, originalRouterPath);
-                const newRouterPath = path.join(recompiledFolder, relPath);
-                fs.mkdirSync(path.dirname(newRouterPath), { recursive: true });
-                fs.writeFileSync(newRouterPath, routerContent, 'utf8');
-                console.log(`Updated Router.js written to: ${newRouterPath}`);
-            });
-        }
+main(process.argv.slice(2)).catch(err => {
+    if (err instanceof ConfigError) {
+        console.error(`Error: ${err.message}`);
+        console.error(`Run "node RouterCallsCreator.js --help" for usage.`);
+        process.exitCode = 2;
+    } else if (err instanceof BuildError) {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    } else {
+        console.error(err);
+        process.exitCode = 1;
     }
-
-    // New Function: Computes SHA-256 hashes for all .js files in the folder and subfolders,
-    // and returns an object of the form { fullPath: hash }.
-    // EXCLUDES files whose basename is "Router.js".
-    function computeHashesForJsFiles() {
-        const files = getJsFiles(path.resolve(folderPath, 'recompiled')).filter(file => {
-            return path.extname(file) === '.js' && path.basename(file) !== 'Router.js';
-        });
-        const hashObj = {};
-        files.forEach(file => {
-            try {
-                const content = fs.readFileSync(file, 'utf8');
-                const hashHex = crypto.createHash('sha256').update(content).digest('hex');
-                hashObj[file] = hashHex;
-            } catch (err) {
-                console.error(`Error reading or hashing file ${file}:`, err);
-            }
-        });
-        return hashObj;
-    }
-
-    updateRouterJS();
-})();
+});
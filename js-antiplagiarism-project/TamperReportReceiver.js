@@ -0,0 +1,154 @@
+const fs = require('fs');
+const http = require('http');
+const util = require('util');
+const { ConfigError } = require('./builder/options');
+
+const USAGE = `Usage: node TamperReportReceiver.js [options]
+
+Reference receiver of the tampering reports Router.js sends to TAMPER_CONFIG.reportUrl: every
+valid report is logged as a line of JSON, together with the time it was received and the address
+and Origin header of the request.
+
+Options:
+  -p, --port <port>         Port to listen on (default: 8787)
+      --host <host>         Address to listen on (default: every address)
+  -o, --output <file>       Append the reports to <file> instead of printing them to the standard output
+  -h, --help                Show this help
+`;
+
+/**
+ * Fields of a report, as sent by Router.js (see sendTamperReport): the others are dropped.
+ */
+const REPORT_FIELDS = ['buildId', 'origin', 'page', 'reason', 'file', 'expectedHash', 'actualHash', 'message', 'time'];
+
+/**
+ * Reports larger than this (in bytes) are refused.
+ */
+const MAX_REPORT_SIZE = 16 * 1024;
+
+/**
+ * Creates the HTTP server receiving the tampering reports: POST requests (on any path) whose body
+ * is a JSON report with a string "reason" are answered with 204 and passed to onReport(report),
+ * where report only holds the known fields (strings, or null when missing) plus receivedAt,
+ * remoteAddress and requestOrigin (the Origin header, which unlike the origin field of the report
+ * is set by the browser). Invalid reports get 400, oversized ones 413 and the other methods 405.
+ * Reports are accepted from any origin (Router.js sends them without CORS preflight, but other
+ * clients may send them as application/json).
+ * The server is not listening yet: call listen on it (listen(0) picks a free port, e.g. in tests).
+ */
+function createTamperReportReceiver(onReport) {
+    return http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { 'Access-Control-Allow-Methods': 'POST', 'Access-Control-Allow-Headers': 'Content-Type' });
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.writeHead(405, { Allow: 'POST, OPTIONS' });
+            res.end();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_REPORT_SIZE) {
+                res.writeHead(413, { Connection: 'close' });
+                res.end();
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (err) {
+                body = null;
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body) || typeof body.reason !== 'string') {
+                res.writeHead(400);
+                res.end();
+                return;
+            }
+            const report = {};
+            REPORT_FIELDS.forEach(field => {
+                report[field] = typeof body[field] === 'string' ? body[field] : null;
+            });
+            report.receivedAt = new Date().toISOString();
+            report.remoteAddress = req.socket.remoteAddress || null;
+            report.requestOrigin = req.headers.origin || null;
+            res.writeHead(204);
+            res.end();
+            onReport(report);
+        });
+    });
+}
+
+/**
+ * Parses the command-line arguments.
+ * Returns { port, host, output, help }.
+ */
+function parseCliArguments(argv) {
+    let values;
+    try {
+        ({ values } = util.parseArgs({
+            args: argv,
+            options: {
+                'port': { type: 'string', short: 'p' },
+                'host': { type: 'string' },
+                'output': { type: 'string', short: 'o' },
+                'help': { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (err) {
+        throw new ConfigError(err.message);
+    }
+    const port = values['port'] !== undefined ? values['port'] : '8787';
+    if (!/^\d+$/.test(port) || Number(port) > 65535) {
+        throw new ConfigError(`Invalid --port value "${port}": expected a port number`);
+    }
+    return { port: Number(port), host: values['host'], output: values['output'], help: !!values['help'] };
+}
+
+/**
+ * Command-line entry point: logs every report received until Ctrl+C is pressed.
+ */
+function main(argv) {
+    const cli = parseCliArguments(argv);
+    if (cli.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    const writeReport = cli.output
+        ? report => fs.appendFileSync(cli.output, JSON.stringify(report) + '\n', 'utf8')
+        : report => process.stdout.write(JSON.stringify(report) + '\n');
+    const server = createTamperReportReceiver(writeReport);
+    server.on('error', err => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    });
+    server.listen(cli.port, cli.host, () => {
+        const { address, port } = server.address();
+        console.error(`Receiving tampering reports on ${address}:${port}${cli.output ? `, appended to ${cli.output}` : ''} (press Ctrl+C to stop)...`);
+    });
+    process.once('SIGINT', () => server.close());
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (err) {
+        if (!(err instanceof ConfigError)) throw err;
+        console.error(`Error: ${err.message}`);
+        console.error(`Run "node TamperReportReceiver.js --help" for usage.`);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = {
+    createTamperReportReceiver
+};
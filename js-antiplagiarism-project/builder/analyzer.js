@@ -0,0 +1,1086 @@
+const fs = require('fs');
+const path = require('path');
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const { getJsFiles } = require('./files');
+const { getScriptTags, resolvePageUrl } = require('./html');
+const { createLogger, BuildError } = require('./options');
+
+/**
+ * Parses JavaScript source into an ESTree syntax tree (via acorn).
+ * Unless sourceType ("script" or "module") is given, files are parsed as classic scripts
+ * first and, if that fails, as ES modules; the Program node tells which one through its sourceType.
+ * The comments found in the source are attached to the returned Program node as "comments" and,
+ * with withTokens, its tokens as "tokens".
+ * Throws the parser error when the content is not valid in either mode.
+ */
+function parseSource(content, sourceType, withTokens = false) {
+    const parseAs = sourceType => {
+        const comments = [];
+        const tokens = [];
+        const ast = acorn.parse(content, {
+            ecmaVersion: 'latest', sourceType, allowHashBang: true, locations: true, onComment: comments,
+            onToken: withTokens ? tokens : undefined
+        });
+        ast.comments = comments;
+        if (withTokens) ast.tokens = tokens;
+        return ast;
+    };
+    if (sourceType) return parseAs(sourceType);
+    try {
+        return parseAs('script');
+    } catch (scriptErr) {
+        try {
+            return parseAs('module');
+        } catch (moduleErr) {
+            throw scriptErr;
+        }
+    }
+}
+
+/**
+ * Returns true if the node is a function value (function expression or arrow function).
+ */
+function isFunctionNode(node) {
+    return !!node && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression');
+}
+
+/**
+ * Returns the static name of a property key (identifier or string literal), or null if computed.
+ */
+function getPropertyName(node, computed) {
+    if (!node) return null;
+    if (!computed && node.type === 'Identifier') return node.name;
+    if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+    return null;
+}
+
+/**
+ * Returns true if the node refers to the global object (window, globalThis or self).
+ */
+function isGlobalObject(node) {
+    return node.type === 'Identifier' && ['window', 'globalThis', 'self'].includes(node.name);
+}
+
+/**
+ * Returns true if the callee of a call expression is routerForwardCall, in any of the forms:
+ *   routerForwardCall(...), window.routerForwardCall(...), window["routerForwardCall"](...)
+ */
+function isRouterForwardCallee(callee) {
+    if (callee.type === 'Identifier') return callee.name === 'routerForwardCall';
+    return callee.type === 'MemberExpression' &&
+        isGlobalObject(callee.object) &&
+        getPropertyName(callee.property, callee.computed) === 'routerForwardCall';
+}
+
+/**
+ * Extracts declared function names from a syntax tree.
+ * Covers function declarations, functions and arrow functions assigned to variables
+ * (const f = function ..., let g = () => ...), assignments to globals
+ * (window.f = function ...) and class declarations (callable through "new").
+ */
+function getDeclaredFunctions(ast) {
+    const declared = new Set();
+    walk.simple(ast, {
+        FunctionDeclaration(node) {
+            if (node.id) declared.add(node.id.name);
+        },
+        ClassDeclaration(node) {
+            if (node.id) declared.add(node.id.name);
+        },
+        VariableDeclarator(node) {
+            if (node.id.type === 'Identifier' && (isFunctionNode(node.init) || (node.init && node.init.type === 'ClassExpression'))) {
+                declared.add(node.id.name);
+            }
+        },
+        AssignmentExpression(node) {
+            if (!isFunctionNode(node.right)) return;
+            if (node.left.type === 'Identifier') {
+                declared.add(node.left.name);
+            } else if (node.left.type === 'MemberExpression' && isGlobalObject(node.left.object)) {
+                const name = getPropertyName(node.left.property, node.left.computed);
+                if (name) declared.add(name);
+            }
+        }
+    });
+    return declared;
+}
+
+/**
+ * Extracts declared method names from a syntax tree:
+ * class methods (constructors excluded) and object literal methods or function-valued properties.
+ */
+function getDeclaredMethods(ast) {
+    const declared = new Set();
+    walk.simple(ast, {
+        MethodDefinition(node) {
+            const name = getPropertyName(node.key, node.computed);
+            if (name && node.kind !== 'constructor') declared.add(name);
+        },
+        Property(node) {
+            if (node.method || isFunctionNode(node.value)) {
+                const name = getPropertyName(node.key, node.computed);
+                if (name) declared.add(name);
+            }
+        }
+    });
+    return declared;
+}
+
+/**
+ * Extracts called function names from a syntax tree.
+ * Only real call and "new" expressions are considered, so keywords (if, for, while ...)
+ * and text inside comments or strings are ignored. Calls through the global object
+ * (window.fn(), window["fn"]()) count as direct calls; routerForwardCall itself is excluded.
+ */
+function getCalledFunctions(ast) {
+    const calls = new Set();
+    const visit = node => {
+        const callee = node.callee;
+        if (isRouterForwardCallee(callee)) return;
+        if (callee.type === 'Identifier') {
+            calls.add(callee.name);
+        } else if (callee.type === 'MemberExpression' && isGlobalObject(callee.object)) {
+            const name = getPropertyName(callee.property, callee.computed);
+            if (name) calls.add(name);
+        }
+    };
+    walk.simple(ast, { CallExpression: visit, NewExpression: visit });
+    return calls;
+}
+
+/**
+ * Extracts called method names from a syntax tree (obj.method(...), obj["method"](...)).
+ * Calls through the global object are reported by getCalledFunctions instead.
+ */
+function getCalledMethods(ast) {
+    const calls = new Set();
+    walk.simple(ast, {
+        CallExpression(node) {
+            const callee = node.callee;
+            if (callee.type !== 'MemberExpression' || isGlobalObject(callee.object)) return;
+            const name = getPropertyName(callee.property, callee.computed);
+            if (name) calls.add(name);
+        }
+    });
+    return calls;
+}
+
+/**
+ * Returns the value of a node that is a static string: a string literal or a template literal
+ * without expressions; null otherwise.
+ */
+function getStaticString(node) {
+    if (!node) return null;
+    if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+}
+
+/**
+ * Extracts routerForwardCall invocations from a syntax tree, in any of the forms recognised by
+ * isRouterForwardCallee, in the order they appear in the source (a call nested in the arguments of
+ * another one comes after it).
+ * Returns an array of { target, callee, loadTime, node } where target is the first argument
+ * (e.g. "file3-funzioneDiFile3-null-null") and callee the second one, when they are
+ * static strings (null otherwise, see getStaticString); loadTime is true for the calls made outside
+ * any function, which run as soon as the script is loaded.
+ */
+function getRouterForwardCalls(ast) {
+    const routerCalls = [];
+    walk.ancestor(ast, {
+        CallExpression(node, ancestors) {
+            if (!isRouterForwardCallee(node.callee)) return;
+            const [first, second] = node.arguments;
+            const loadTime = !ancestors.some(ancestor => ancestor.type === 'FunctionDeclaration' || isFunctionNode(ancestor));
+            routerCalls.push({ target: getStaticString(first), callee: getStaticString(second), loadTime, node });
+        }
+    });
+    return routerCalls.sort((a, b) => a.node.start - b.node.start);
+}
+
+/**
+ * Extracts the references to routerForwardCall that are not the callee of a call (see
+ * isRouterForwardCallee): aliases (const rfc = window["routerForwardCall"]), calls through
+ * .call/.apply or bind, values passed as arguments, destructured properties... The calls made
+ * through them cannot be found, hence encrypted. Its declaration and the typeof checks are not
+ * references.
+ * Returns the nodes of the references, in the order they appear in the source.
+ */
+function getRouterForwardReferences(ast) {
+    const references = [];
+    const isUsedAsValue = (node, ancestors) => {
+        const parent = ancestors[ancestors.length - 2];
+        if (parent.type === 'CallExpression' && parent.callee === node) return false;
+        return !(parent.type === 'UnaryExpression' && parent.operator === 'typeof');
+    };
+    walk.ancestor(ast, {
+        Identifier(node, ancestors) {
+            if (node.name === 'routerForwardCall' && isUsedAsValue(node, ancestors)) references.push(node);
+        },
+        MemberExpression(node, ancestors) {
+            if (!isRouterForwardCallee(node) || !isUsedAsValue(node, ancestors)) return;
+            // window.routerForwardCall = ... declares it
+            const parent = ancestors[ancestors.length - 2];
+            if (!(parent.type === 'AssignmentExpression' && parent.left === node)) references.push(node);
+        },
+        ObjectPattern(node) {
+            node.properties.forEach(property => {
+                if (property.type === 'Property' && getPropertyName(property.key, property.computed) === 'routerForwardCall') {
+                    references.push(property);
+                }
+            });
+        }
+    });
+    return references.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parameter types understood by parseAndCall in Router.js (any other type is passed as a string).
+ */
+const ROUTER_PARAMETER_TYPES = ['string', 'number', 'boolean', 'object', 'null'];
+
+/**
+ * Checks the part of a routerForwardCall target following the file identifier, the way
+ * parseAndCall in Router.js reads it: "function-types-values" (e.g. "funct1-number,string-7,hello"
+ * or "funct1-null-null") for a call without arguments, just "function" when the arguments are
+ * passed to routerForwardCall.
+ * Returns { functionName, errors, warnings } with the problems found, as messages.
+ */
+function lintCallString(callString, hasArguments) {
+    const errors = [];
+    const warnings = [];
+    const parts = callString.split('-');
+    const functionName = parts[0];
+    if (!/^[A-Za-z_$][\w$]*$/.test(functionName)) {
+        errors.push(`"${functionName}" is not a valid function name`);
+    }
+    if (hasArguments) {
+        if (parts.length > 1) {
+            warnings.push('the parameter types and values are ignored, since the arguments are passed to routerForwardCall');
+        }
+        return { functionName, errors, warnings };
+    }
+    if (parts.length !== 3) {
+        errors.push(`expected "file-function-types-values" ("file-function-null-null" for no parameters), ` +
+            `found ${parts.length + 1} parts separated by "-" (a "-" in a value is not supported)`);
+        return { functionName, errors, warnings };
+    }
+
+    const [typesString, valuesString] = parts.slice(1);
+    if (typesString === 'null' && valuesString === 'null') {
+        return { functionName, errors, warnings };
+    }
+    if (typesString === 'null' || valuesString === 'null') {
+        errors.push('the types and the values must be both "null" (no parameters) or both given');
+        return { functionName, errors, warnings };
+    }
+    const types = typesString.split(',');
+    const values = valuesString.split(',');
+    if (types.length !== values.length) {
+        errors.push(`${types.length} parameter type${types.length === 1 ? '' : 's'} but ${values.length} value${values.length === 1 ? '' : 's'} ` +
+            '(a "," in a value is not supported)');
+        return { functionName, errors, warnings };
+    }
+    types.forEach((type, i) => {
+        const value = values[i];
+        if (!ROUTER_PARAMETER_TYPES.includes(type)) {
+            if (ROUTER_PARAMETER_TYPES.includes(type.toLowerCase())) {
+                warnings.push(`type "${type}" of parameter ${i + 1} is not recognised by Router.js, whose types are lowercase, ` +
+                    `so the value is passed as a string: write "${type.toLowerCase()}"`);
+            } else {
+                errors.push(`unknown type "${type}" of parameter ${i + 1}: expected one of ${ROUTER_PARAMETER_TYPES.join(', ')}`);
+            }
+            return;
+        }
+        if (type === 'number' && (value.trim() === '' || isNaN(Number(value)))) {
+            errors.push(`value "${value}" of parameter ${i + 1} is not a number`);
+        } else if (type === 'boolean' && !['true', 'false'].includes(value.toLowerCase())) {
+            errors.push(`value "${value}" of parameter ${i + 1} is not a boolean (true or false)`);
+        } else if (type === 'object') {
+            try {
+                JSON.parse(value);
+            } catch (err) {
+                errors.push(`value of parameter ${i + 1} is not valid JSON: ${err.message}`);
+            }
+        }
+    });
+    return { functionName, errors, warnings };
+}
+
+/**
+ * Extracts the functions a file makes reachable from the other files through the global scope.
+ * In a classic script every declared function is global; in an ES module the top-level
+ * declarations are module-scoped, so only the assignments to the global object
+ * (window.f = function ...) count.
+ */
+function getGlobalFunctions(ast) {
+    if (ast.sourceType !== 'module') return getDeclaredFunctions(ast);
+    const declared = new Set();
+    walk.simple(ast, {
+        AssignmentExpression(node) {
+            if (!isFunctionNode(node.right) || node.left.type !== 'MemberExpression' || !isGlobalObject(node.left.object)) return;
+            const name = getPropertyName(node.left.property, node.left.computed);
+            if (name) declared.add(name);
+        }
+    });
+    return declared;
+}
+
+/**
+ * Extracts the modules a file imports, from static imports, re-exports and dynamic import()
+ * calls with a string literal specifier.
+ * Returns an array of { source, imported, locals } where source is the module specifier,
+ * imported the names taken from it ("default" for the default export, "*" for the namespace)
+ * and locals the local bindings they are imported as. Side-effect imports, "export * from"
+ * and dynamic imports have no names.
+ */
+function getModuleImports(ast) {
+    const imports = [];
+    const exportedName = node => node.type === 'Identifier' ? node.name : node.value;
+    walk.simple(ast, {
+        ImportDeclaration(node) {
+            const imported = [];
+            const locals = [];
+            node.specifiers.forEach(specifier => {
+                if (specifier.type === 'ImportDefaultSpecifier') {
+                    imported.push('default');
+                } else if (specifier.type === 'ImportNamespaceSpecifier') {
+                    imported.push('*');
+                } else {
+                    imported.push(exportedName(specifier.imported));
+                }
+                locals.push(specifier.local.name);
+            });
+            imports.push({ source: node.source.value, imported, locals });
+        },
+        ExportNamedDeclaration(node) {
+            if (!node.source) return;
+            imports.push({ source: node.source.value, imported: node.specifiers.map(s => exportedName(s.local)), locals: [] });
+        },
+        ExportAllDeclaration(node) {
+            imports.push({ source: node.source.value, imported: node.exported ? ['*'] : [], locals: [] });
+        },
+        ImportExpression(node) {
+            if (node.source.type === 'Literal' && typeof node.source.value === 'string') {
+                imports.push({ source: node.source.value, imported: [], locals: [] });
+            }
+        }
+    });
+    return imports;
+}
+
+/**
+ * Extracts the exports of an ES module.
+ * Returns { names, reexportAll } where names maps each exported name to { local } for the
+ * bindings declared in the module itself (local is null for an anonymous default export) or to
+ * { source, imported } for the re-exported ones, and reexportAll lists the specifiers of the
+ * "export * from" declarations.
+ */
+function getModuleExports(ast) {
+    const names = Object.create(null);
+    const reexportAll = [];
+    const exportedName = node => node.type === 'Identifier' ? node.name : node.value;
+    ast.body.forEach(node => {
+        if (node.type === 'ExportNamedDeclaration') {
+            const declaration = node.declaration;
+            if (declaration && declaration.type === 'VariableDeclaration') {
+                declaration.declarations.forEach(declarator => {
+                    if (declarator.id.type === 'Identifier') names[declarator.id.name] = { local: declarator.id.name };
+                });
+            } else if (declaration && declaration.id) {
+                names[declaration.id.name] = { local: declaration.id.name };
+            }
+            node.specifiers.forEach(specifier => {
+                names[exportedName(specifier.exported)] = node.source
+                    ? { source: node.source.value, imported: exportedName(specifier.local) }
+                    : { local: exportedName(specifier.local) };
+            });
+        } else if (node.type === 'ExportDefaultDeclaration') {
+            const declaration = node.declaration;
+            const local = declaration.type === 'Identifier' ? declaration.name : (declaration.id ? declaration.id.name : null);
+            names['default'] = { local };
+        } else if (node.type === 'ExportAllDeclaration') {
+            if (node.exported) {
+                names[exportedName(node.exported)] = { source: node.source.value, imported: '*' };
+            } else {
+                reexportAll.push(node.source.value);
+            }
+        }
+    });
+    return { names, reexportAll };
+}
+
+/**
+ * Extracts the names of functions annotated for protection.
+ * A function is protected when a comment containing "@protect" (e.g. /* @protect *\/,
+ * // @protect or a JSDoc tag) directly precedes its declaration:
+ *
+ *   /* @protect *\/
+ *   function iWantToProtectCallsToIt(param1, param2) { ... }
+ *
+ *   // @protect
+ *   const alsoProtected = (param) => { ... };
+ *
+ * In ES modules the comment may also precede the "export" keyword of a named export.
+ */
+function getProtectedFunctions(ast, content) {
+    const protectedNames = new Set();
+    const annotations = ast.comments.filter(comment => /@protect\b/.test(comment.value));
+    if (annotations.length === 0) return protectedNames;
+
+    const candidates = [];
+    const exportStarts = new Map();
+    walk.simple(ast, {
+        ExportNamedDeclaration(node) {
+            if (node.declaration) exportStarts.set(node.declaration, node.start);
+        }
+    });
+    const addCandidate = (node, name) => {
+        candidates.push({ start: node.start, name });
+        if (exportStarts.has(node)) candidates.push({ start: exportStarts.get(node), name });
+    };
+    walk.simple(ast, {
+        FunctionDeclaration(node) {
+            if (node.id) addCandidate(node, node.id.name);
+        },
+        VariableDeclaration(node) {
+            const declarator = node.declarations[0];
+            if (node.declarations.length === 1 && declarator.id.type === 'Identifier' && isFunctionNode(declarator.init)) {
+                addCandidate(node, declarator.id.name);
+            }
+        }
+    });
+
+    annotations.forEach(comment => {
+        const annotated = candidates.find(candidate =>
+            candidate.start >= comment.end && content.slice(comment.end, candidate.start).trim() === '');
+        if (annotated) protectedNames.add(annotated.name);
+    });
+    return protectedNames;
+}
+
+/**
+ * Rewrites the direct calls made by a file to protected functions declared in other files
+ * into routerForwardCall invocations, using the dynamic parameters syntax:
+ *
+ *   iWantToProtectCallsToIt(param1, param2);
+ * becomes
+ *   window["routerForwardCall"]("file1-iWantToProtectCallsToIt", "file2", param1, param2);
+ *
+ * Calls without arguments use the static syntax ("file1-fn-null-null").
+ * Only calls used as statements or awaited ("await iWantToProtectCallsToIt(...)") are rewritten,
+ * because routerForwardCall returns a Promise of the value of the forwarded call instead of the
+ * value itself; the other ones are reported as warnings and left unchanged.
+ *
+ * protectedIndex maps each protected function name to the file declaring it, and fileIds maps
+ * the files to the identifiers used in the generated strings (by default their base names).
+ * Returns { content, rewritten, warnings }.
+ */
+function rewriteProtectedCalls(file, content, ast, declaredFunctions, protectedIndex, fileIds = {}) {
+    const fileId = someFile => fileIds[someFile] || path.basename(someFile, path.extname(someFile));
+    const callerBase = fileId(file);
+    // Calls whose value is either unused or awaited
+    const statementCalls = new Set();
+    const replacements = [];
+    const warnings = [];
+
+    walk.simple(ast, {
+        ExpressionStatement(node) {
+            if (node.expression.type === 'CallExpression') statementCalls.add(node.expression);
+        },
+        AwaitExpression(node) {
+            if (node.argument.type === 'CallExpression') statementCalls.add(node.argument);
+        }
+    });
+    walk.simple(ast, {
+        CallExpression(node) {
+            const callee = node.callee;
+            let fnName = null;
+            if (callee.type === 'Identifier') {
+                fnName = callee.name;
+            } else if (callee.type === 'MemberExpression' && isGlobalObject(callee.object)) {
+                fnName = getPropertyName(callee.property, callee.computed);
+            }
+            if (!fnName || !(fnName in protectedIndex)) return;
+            const declaringFile = protectedIndex[fnName];
+            if (declaringFile === file || declaredFunctions.has(fnName)) return;
+
+            const location = `${file}:${node.loc.start.line}:${node.loc.start.column + 1}`;
+            if (!statementCalls.has(node) || node.optional) {
+                warnings.push(`Call to protected function ${fnName} at ${location} was not rewritten: its return value is used`);
+                return;
+            }
+            const targetBase = fileId(declaringFile);
+            let replacement;
+            if (node.arguments.length === 0) {
+                replacement = `window["routerForwardCall"]("${targetBase}-${fnName}-null-null", "${callerBase}")`;
+            } else {
+                const argsText = content.slice(node.arguments[0].start, node.arguments[node.arguments.length - 1].end);
+                replacement = `window["routerForwardCall"]("${targetBase}-${fnName}", "${callerBase}", ${argsText})`;
+            }
+            replacements.push({ start: node.start, end: node.end, replacement, location });
+        }
+    });
+
+    // Apply the replacements from the end of the file so earlier offsets stay valid
+    let rewrittenContent = content;
+    [...replacements]
+        .sort((a, b) => b.start - a.start)
+        .forEach(({ start, end, replacement }) => {
+            rewrittenContent = rewrittenContent.slice(0, start) + replacement + rewrittenContent.slice(end);
+        });
+
+    return {
+        content: rewrittenContent,
+        rewritten: replacements.map(({ location, replacement }) => ({ location, replacement })),
+        warnings
+    };
+}
+
+/**
+ * Appends to an ES module the registration of its exports in window.routerModuleExports,
+ * under its path relative to the project (id), so that Router.js can dispatch routerForwardCall
+ * invocations to module-scoped functions. The module imports its own namespace to register it.
+ */
+function appendModuleRegistration(file, content, id) {
+    const self = JSON.stringify('./' + path.basename(file));
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    return content + (content === '' || content.endsWith('\n') ? '' : eol) + eol +
+        '// Exports available to routerForwardCall (added by RouterCallsCreator)' + eol +
+        `import * as __routerModuleExports from ${self};` + eol +
+        `(window.routerModuleExports = window.routerModuleExports || {})[${JSON.stringify(id)}] = __routerModuleExports;` + eol;
+}
+
+/**
+ * Analyzes a given folder to build:
+ *  - A dependency tree (dependencyTree)
+ *  - A dependency matrix (dependencyMatrix) containing relationships (from, to, function)
+ *  - A fileContents object mapping file paths to their content.
+ *  - The paths of the files relative to the project, with "/" separators (relativePaths).
+ *  - The canonical form of each routerForwardCall target and callee string (canonicalTargets,
+ *    canonicalCallees), which starts with the relative path of the file (e.g. "testdep/file4.js-funzioneDiFile4").
+ *  - The ES modules whose exports are registered for Router.js (registeredModules).
+ *  - The HTML pages of the project with their scripts and the analyzed files they load, imported
+ *    modules included (pages), the files they load directly (entryFiles) and the analyzed files that
+ *    no page loads (unreferencedFiles).
+ *
+ * Each file is parsed into a syntax tree; declarations, calls and routerForwardCall
+ * sites are all read from that tree. Files that cannot be read or parsed raise a BuildError
+ * listing them all, so that none of them is copied with its calls in plaintext; so do the
+ * references to routerForwardCall other than direct calls (see getRouterForwardReferences).
+ *
+ * Before the dependencies are computed, the cross-file direct calls to protected functions
+ * (annotated with "@protect" or listed in options.protectedFunctions) are rewritten into
+ * routerForwardCall invocations, and fileContents holds the rewritten content.
+ *
+ * For routerForwardCall calls (expected format:
+ *   window["routerForwardCall"]("file3-funzioneDiFile3-null-null")
+ * ), it extracts the file identifier (the part before one of the dashes) from the parameter,
+ * finds the corresponding file in the project, adds it as a dependency, and recursively analyzes it.
+ * A file is identified by its name ("file3") or, when several files share it, by its path relative
+ * to the project ("testdep/file4"); targets or callees that may refer to several files raise a BuildError.
+ * So do the targets of the calls in the files loaded by the pages that parseAndCall could not run
+ * (see lintCallString), or naming a function their file does not declare.
+ *
+ * ES modules (.mjs files, <script type="module"> sources of the project pages, and any file using
+ * import/export) are linked through their static and dynamic imports: every imported name depends
+ * on the file declaring it, following re-exports. Their top-level functions are module-scoped, so
+ * they are not matched by name from the other files; the modules targeted by routerForwardCall
+ * get their exports registered for Router.js (see appendModuleRegistration).
+ *
+ * The <script> tags of the HTML pages are the entry points: only the files they load, directly or
+ * through their dependencies, are kept in the dependency tree and the matrix, so that the files
+ * no page loads are left out of the keying; since their routerForwardCall invocations could not be
+ * encrypted, finding any raises a BuildError. A project without pages keeps every analyzed file.
+ *
+ * Supported options:
+ *  - protectedFunctions: names of the functions to protect in addition to the annotated ones
+ *  - outDir: output folder (default: <folderPath>/recompiled), whose files are filtered out
+ *  - extensions: extensions of the files to analyze (default: [".js"]); also used to resolve
+ *    import specifiers without extension
+ *  - fileFilter: predicate selecting the absolute file paths to analyze
+ *  - pageFilter: predicate selecting the absolute paths of the HTML pages to read
+ *  - isRouterFile: predicate telling the router files, which are kept even when no page loads them
+ *  - logger: object with error/warn/info/debug methods (default: console)
+ */
+function analyzeDependencies(folderPath, options = {}) {
+    const protectedFunctions = options.protectedFunctions || [];
+    const log = options.logger || createLogger('info');
+    const fileFilter = options.fileFilter || (() => true);
+    const pageFilter = options.pageFilter || (() => true);
+    const isRouterFile = options.isRouterFile || (() => false);
+    const recompiledFolderPath = path.resolve(options.outDir || path.join(folderPath, 'recompiled'));
+    let allFiles = getJsFiles(folderPath, options.extensions)
+        .filter(file => !file.startsWith(recompiledFolderPath + path.sep) && fileFilter(file));
+
+    // Index of the identifiers a file can be referred to by in routerForwardCall targets and callees:
+    // its path relative to the project ("lib/utils.js" or "lib/utils") and its name ("utils.js" or
+    // "utils"), which may be shared by several files
+    const relativePaths = {};
+    const fileIdIndex = Object.create(null);
+    allFiles.forEach(file => {
+        const relativePath = path.relative(folderPath, file).split(path.sep).join('/');
+        const extension = path.extname(file);
+        relativePaths[file] = relativePath;
+        const ids = new Set([
+            relativePath, relativePath.slice(0, relativePath.length - extension.length),
+            path.basename(file), path.basename(file, extension)
+        ]);
+        ids.forEach(id => (fileIdIndex[id] = fileIdIndex[id] || []).push(file));
+    });
+    const resolveFileId = id => fileIdIndex[id] || [];
+
+    // Shortest unambiguous identifier of each file, used in the generated routerForwardCall strings
+    const fileIds = {};
+    allFiles.forEach(file => {
+        const relativePath = relativePaths[file];
+        const candidates = [
+            path.basename(file, path.extname(file)),
+            relativePath.slice(0, relativePath.length - path.extname(file).length),
+            relativePath
+        ];
+        fileIds[file] = candidates.find(id => resolveFileId(id).length === 1) || relativePath;
+    });
+
+    /**
+     * Resolves a routerForwardCall target ("lib/utils-format-null-null") to the file it calls,
+     * whose identifier is the part before one of the dashes. Returns { file, rest } where rest is
+     * the part after the identifier ("-format-null-null"), { ambiguous } with the candidate files
+     * when the target may refer to several files, or null when it matches none.
+     */
+    function resolveTarget(target) {
+        const matches = [];
+        for (let i = target.indexOf('-'); i !== -1; i = target.indexOf('-', i + 1)) {
+            resolveFileId(target.slice(0, i)).forEach(file => matches.push({ file, rest: target.slice(i) }));
+        }
+        if (matches.length === 0) return null;
+        return matches.length === 1 ? matches[0] : { ambiguous: matches.map(match => match.file) };
+    }
+
+    // Resolves an import specifier to one of the analyzed files ("./a.js", "./a", "./dir/index.js"),
+    // relative to the importing file; bare specifiers (npm packages) and URLs resolve to null
+    const analyzedFiles = new Set(allFiles);
+    const extensions = options.extensions || ['.js'];
+    function resolveModuleSpecifier(fromFile, specifier) {
+        const file = resolvePageUrl(folderPath, fromFile, specifier);
+        if (!file || !/^(\.{1,2}\/|\/)/.test(specifier)) return null;
+        const candidates = [file, ...extensions.map(ext => file + ext), ...extensions.map(ext => path.join(file, 'index' + ext))];
+        return candidates.find(candidate => analyzedFiles.has(candidate)) || null;
+    }
+
+    // Read the project pages: their <script> tags are the entry points of the application.
+    // Each script gets the absolute path of its source file (file) and, for inline module
+    // scripts, the files it imports (imports)
+    const pages = [];
+    getJsFiles(folderPath, ['.html', '.htm'])
+        .filter(page => !page.startsWith(recompiledFolderPath + path.sep) && pageFilter(page))
+        .forEach(page => {
+            let html;
+            try {
+                html = fs.readFileSync(page, 'utf8');
+            } catch (err) {
+                log.error(`Error reading file ${page}:`, err);
+                return;
+            }
+            const scripts = getScriptTags(html).map(script => ({ ...script, file: null, imports: [] }));
+            scripts.forEach(script => {
+                if (script.src !== null) {
+                    script.file = resolvePageUrl(folderPath, page, script.src);
+                    if (script.file && !fs.existsSync(script.file)) {
+                        log.warn(`Page ${page} loads ${script.src}, which does not exist`);
+                    }
+                } else if (script.module) {
+                    try {
+                        script.imports = getModuleImports(parseSource(script.content, 'module'))
+                            .map(({ source }) => resolveModuleSpecifier(page, source))
+                            .filter(Boolean);
+                    } catch (err) {
+                        log.error(`Error parsing a module script of ${page}:`, err.message);
+                    }
+                }
+            });
+            pages.push({ file: page, html, scripts });
+        });
+
+    // Files to parse as ES modules: .mjs files, the sources of <script type="module"> tags
+    // and the files imported by inline module scripts of the project pages
+    const moduleFiles = new Set(allFiles.filter(file => path.extname(file) === '.mjs'));
+    pages.forEach(page => page.scripts.filter(script => script.module).forEach(script => {
+        if (script.file) moduleFiles.add(script.file);
+        script.imports.forEach(file => moduleFiles.add(file));
+    }));
+
+    // Extracts the syntax information used by the analysis from a parsed file
+    const extractSyntax = ast => {
+        const imports = ast ? getModuleImports(ast) : [];
+        return {
+            functions: ast ? getDeclaredFunctions(ast) : new Set(),
+            globalFunctions: ast ? getGlobalFunctions(ast) : new Set(),
+            methods: ast ? getDeclaredMethods(ast) : new Set(),
+            calledFunctions: ast ? getCalledFunctions(ast) : new Set(),
+            calledMethods: ast ? getCalledMethods(ast) : new Set(),
+            routerCalls: ast ? getRouterForwardCalls(ast) : [],
+            routerReferences: ast ? getRouterForwardReferences(ast) : [],
+            module: !!ast && ast.sourceType === 'module',
+            imports,
+            importedLocals: new Set(imports.flatMap(({ locals }) => locals)),
+            exports: ast && ast.sourceType === 'module' ? getModuleExports(ast) : { names: Object.create(null), reexportAll: [] }
+        };
+    };
+
+    // Cache file contents, syntax trees and the syntax information extracted from each file.
+    // A file that cannot be read or parsed fails the build: its routerForwardCall strings and its
+    // calls to protected functions could not be found, and would be copied in plaintext
+    const fileContents = {};
+    const fileAsts = {};
+    const fileSyntax = {};
+    const failures = [];
+    allFiles.forEach(file => {
+        let content;
+        try {
+            content = fs.readFileSync(file, 'utf8');
+            fileContents[file] = content;
+        } catch (err) {
+            failures.push(`Cannot read ${file}: ${err.message}`);
+            return;
+        }
+        try {
+            fileAsts[file] = parseSource(content, moduleFiles.has(file) ? 'module' : undefined);
+        } catch (err) {
+            failures.push(`Cannot parse ${file}: ${err.message}`);
+            return;
+        }
+        fileSyntax[file] = extractSyntax(fileAsts[file]);
+    });
+    if (failures.length > 0) {
+        throw new BuildError(`${failures.join('\n')}\nFix the files, or leave them out of the analysis with --exclude.`);
+    }
+
+    // The calls made through a routerForwardCall that is not called directly (an alias, .call or
+    // .apply, a value passed around) cannot be found: rather than copying them in plaintext, fail the build
+    const indirectReferences = allFiles.filter(file => !isRouterFile(file)).flatMap(file => fileSyntax[file].routerReferences
+        .map(node => `  ${file}:${node.loc.start.line}:${node.loc.start.column + 1}`));
+    if (indirectReferences.length > 0) {
+        throw new BuildError(`routerForwardCall used without being called directly, so its calls cannot be encrypted:\n${indirectReferences.join('\n')}\n` +
+            'Call it directly instead: routerForwardCall(...), window.routerForwardCall(...) or window["routerForwardCall"](...).');
+    }
+
+    // Build global indexes: function/method name => file (first occurrence).
+    // The functions exported by ES modules are indexed apart, since they are not global.
+    const globalFunctionIndex = Object.create(null);
+    const globalMethodIndex = Object.create(null);
+    const exportedFunctionIndex = Object.create(null);
+    allFiles.forEach(file => {
+        if (!fileSyntax[file]) return;
+        fileSyntax[file].globalFunctions.forEach(fnName => {
+            if (!globalFunctionIndex[fnName]) {
+                globalFunctionIndex[fnName] = file;
+            }
+        });
+        fileSyntax[file].methods.forEach(methodName => {
+            if (!globalMethodIndex[methodName]) {
+                globalMethodIndex[methodName] = file;
+            }
+        });
+        Object.entries(fileSyntax[file].exports.names).forEach(([name, { local }]) => {
+            if (local && fileSyntax[file].functions.has(local) && !exportedFunctionIndex[name]) {
+                exportedFunctionIndex[name] = file;
+            }
+        });
+    });
+
+    /**
+     * Resolves an export of a module to the file declaring it, following re-exports
+     * ("export { a } from", "export * from"). Returns null if the module does not export the name.
+     */
+    function resolveExport(file, name, seen = new Set()) {
+        if (!fileSyntax[file] || seen.has(file)) return null;
+        seen.add(file);
+        if (name === '*') return file;
+        const { names, reexportAll } = fileSyntax[file].exports;
+        const exported = names[name];
+        if (exported) {
+            if (!exported.source) return file;
+            const source = resolveModuleSpecifier(file, exported.source);
+            return source ? resolveExport(source, exported.imported, seen) : null;
+        }
+        if (name === 'default') return null;
+        for (const specifier of reexportAll) {
+            const source = resolveModuleSpecifier(file, specifier);
+            const declaringFile = source ? resolveExport(source, name, seen) : null;
+            if (declaringFile) return declaringFile;
+        }
+        return null;
+    }
+
+    // Build the protected functions index: function name => declaring file
+    const protectedIndex = Object.create(null);
+    allFiles.forEach(file => {
+        if (!fileAsts[file]) return;
+        getProtectedFunctions(fileAsts[file], fileContents[file]).forEach(fnName => {
+            protectedIndex[fnName] = file;
+        });
+    });
+    protectedFunctions.forEach(fnName => {
+        const declaringFile = globalFunctionIndex[fnName] || exportedFunctionIndex[fnName];
+        if (declaringFile) {
+            protectedIndex[fnName] = declaringFile;
+        } else {
+            log.warn(`Protected function ${fnName} is not declared in any file`);
+        }
+    });
+
+    // Rewrite the calls to protected functions and refresh the syntax of the rewritten files
+    const protectedCalls = [];
+    if (Object.keys(protectedIndex).length > 0) {
+        allFiles.forEach(file => {
+            if (!fileAsts[file]) return;
+            const result = rewriteProtectedCalls(file, fileContents[file], fileAsts[file], fileSyntax[file].functions, protectedIndex, fileIds);
+            result.warnings.forEach(warning => log.warn(warning));
+            if (result.rewritten.length === 0) return;
+            protectedCalls.push(...result.rewritten);
+            fileContents[file] = result.content;
+            fileAsts[file] = parseSource(result.content, moduleFiles.has(file) ? 'module' : undefined);
+            fileSyntax[file] = extractSyntax(fileAsts[file]);
+        });
+    }
+
+    // Resolve the targets and callees of the routerForwardCall invocations. Their canonical forms,
+    // used at runtime, start with the path of the file relative to the project
+    // ("testdep/file4.js-funzioneDiFile4-null-null", "file2.js")
+    const canonicalTargets = {};
+    const canonicalCallees = {};
+    const ambiguities = [];
+    allFiles.forEach(file => fileSyntax[file].routerCalls.forEach(call => {
+        const location = `${file}:${call.node.loc.start.line}:${call.node.loc.start.column + 1}`;
+        const candidates = files => files.map(candidate => relativePaths[candidate]).join(', ');
+        if (call.target) {
+            const resolved = resolveTarget(call.target);
+            if (resolved && resolved.ambiguous) {
+                ambiguities.push(`Ambiguous routerForwardCall target "${call.target}" at ${location}: it may refer to ${candidates(resolved.ambiguous)}`);
+            } else if (resolved) {
+                call.targetFile = resolved.file;
+                call.targetRest = resolved.rest.slice(1);
+                canonicalTargets[call.target] = relativePaths[resolved.file] + resolved.rest;
+            }
+        }
+        if (call.callee) {
+            const resolved = resolveFileId(call.callee);
+            if (resolved.length > 1) {
+                ambiguities.push(`Ambiguous routerForwardCall callee "${call.callee}" at ${location}: it may refer to ${candidates(resolved)}`);
+            } else if (resolved.length === 1) {
+                canonicalCallees[call.callee] = relativePaths[resolved[0]];
+            }
+        }
+    }));
+    if (ambiguities.length > 0) {
+        throw new BuildError(`${ambiguities.join('\n')}\nUse the path relative to the project folder instead (e.g. "lib/utils-format" for the function format of lib/utils.js).`);
+    }
+
+    // Tell which page scripts call routerForwardCall while loading, so that Router.js can be
+    // loaded before them (inline scripts with a non-JavaScript type are left out)
+    pages.forEach(page => page.scripts.forEach(script => {
+        let routerCalls = [];
+        if (script.file) {
+            routerCalls = fileSyntax[script.file] ? fileSyntax[script.file].routerCalls : [];
+        } else if (!script.module && (!script.type || /javascript|ecmascript/i.test(script.type))) {
+            try {
+                routerCalls = getRouterForwardCalls(parseSource(script.content, 'script'));
+            } catch (err) {
+                log.error(`Error parsing an inline script of ${page.file}:`, err.message);
+            }
+        }
+        script.callsRouterOnLoad = routerCalls.some(call => call.loadTime);
+    }));
+
+    // ES modules reached through routerForwardCall register their exports for Router.js,
+    // which cannot find module-scoped functions in window
+    const routerTargets = new Set();
+    allFiles.forEach(file => {
+        fileSyntax[file].routerCalls.forEach(({ targetFile }) => {
+            if (targetFile) routerTargets.add(targetFile);
+        });
+    });
+    const registeredModules = [...routerTargets].filter(file => fileSyntax[file].module);
+    registeredModules.forEach(file => {
+        fileContents[file] = appendModuleRegistration(file, fileContents[file], relativePaths[file]);
+    });
+
+    // Dependency matrix: each element is an object { from, to, function }
+    const dependencyMatrix = [];
+
+    /**
+     * Recursively processes a file and returns an object with the structure:
+     * { routerDependant: <true|false>, dependencies: { "<otherFile.js>": { ... } } }
+     * The "visited" set prevents cycles.
+     */
+    function processFile(file, visited = new Set()) {
+        if (visited.has(file)) return;
+        visited.add(file);
+
+        if (!(file in fileSyntax)) {
+            log.warn(`Content not found for file: ${file}`);
+            return;
+        }
+        const syntax = fileSyntax[file];
+
+        // Determine if the file is router-dependent
+        const routerDependant = syntax.routerCalls.length > 0;
+
+        const dependencies = {};
+
+        const addDependency = (dependentFile, label) => {
+            if (dependentFile && dependentFile !== file && !visited.has(dependentFile)) {
+                dependencyMatrix.push({ from: file, to: dependentFile, function: label });
+                const child = processFile(dependentFile, new Set(visited));
+                if (child) {
+                    dependencies[dependentFile] = child;
+                }
+            }
+        };
+
+        // --- Case 1: Process routerForwardCall calls ---
+        syntax.routerCalls.forEach(({ targetFile }) => {
+            if (!targetFile) return;
+            addDependency(targetFile, `routerForwardCall(${fileIds[targetFile]})`);
+        });
+
+        // --- Case 2: Process normal function calls ---
+        syntax.calledFunctions.forEach(fnName => {
+            if (syntax.functions.has(fnName) || syntax.importedLocals.has(fnName)) return;
+            addDependency(globalFunctionIndex[fnName], fnName);
+        });
+
+        // --- Case 3: Process method calls on objects declared in other files ---
+        syntax.calledMethods.forEach(methodName => {
+            if (syntax.methods.has(methodName)) return;
+            addDependency(globalMethodIndex[methodName], methodName);
+        });
+
+        // --- Case 4: Process ES module imports ---
+        // Each imported name depends on the file declaring it (re-exports are followed);
+        // side-effect, "export * from" and dynamic imports depend on the imported module itself
+        syntax.imports.forEach(({ source, imported }) => {
+            const moduleFile = resolveModuleSpecifier(file, source);
+            if (!moduleFile) return;
+            const declaringFiles = imported.map(name => [name, resolveExport(moduleFile, name) || moduleFile]);
+            declaringFiles.forEach(([name, declaringFile]) => addDependency(declaringFile, `import ${name}`));
+            if (!declaringFiles.some(([, declaringFile]) => declaringFile === moduleFile)) {
+                addDependency(moduleFile, `import(${source})`);
+            }
+        });
+
+        return { routerDependant, dependencies };
+    }
+
+    const fullDependencyTree = {};
+    allFiles.forEach(file => {
+        fullDependencyTree[file] = processFile(file, new Set());
+    });
+
+    // Keep only the files loaded by the pages: their scripts and everything they depend on, plus the
+    // router files (injected in the pages). Without pages (or without scripts from the project in
+    // them) every analyzed file is kept
+    const entryFiles = new Set();
+    pages.forEach(page => page.scripts.forEach(script => {
+        [script.file, ...script.imports].forEach(file => {
+            if (file && fullDependencyTree[file]) entryFiles.add(file);
+        });
+    }));
+    // The files each page loads (loadedFiles): the sources of its <script> tags and the modules they
+    // import, directly or not
+    pages.forEach(page => {
+        const loadedFiles = new Set();
+        (function load(files) {
+            files.forEach(file => {
+                if (!file || loadedFiles.has(file) || !fileSyntax[file]) return;
+                loadedFiles.add(file);
+                load(fileSyntax[file].imports.map(({ source }) => resolveModuleSpecifier(file, source)));
+            });
+        })(page.scripts.flatMap(script => [script.file, ...script.imports]));
+        page.loadedFiles = [...loadedFiles];
+    });
+    const referencedFiles = new Set(entryFiles.size > 0 ? allFiles.filter(isRouterFile) : allFiles);
+    (function collect(files) {
+        for (const file in files) {
+            referencedFiles.add(file);
+            if (files[file]) collect(files[file].dependencies);
+        }
+    })(Object.fromEntries([...entryFiles].map(file => [file, fullDependencyTree[file]])));
+    const unreferencedFiles = allFiles.filter(file => !referencedFiles.has(file));
+    unreferencedFiles.forEach(file => log.debug(`Skipping ${file}: it is not loaded by any page`));
+
+    // The calls of the files no page loads cannot be encrypted, since no dependency branch of the
+    // pages keys them: rather than copying them in plaintext, fail the build
+    const unkeyedCalls = unreferencedFiles.flatMap(file => fileSyntax[file].routerCalls
+        .map(call => `  ${file}:${call.node.loc.start.line}:${call.node.loc.start.column + 1}`));
+    if (unkeyedCalls.length > 0) {
+        throw new BuildError(`routerForwardCall found in files no page loads, whose calls cannot be encrypted:\n${unkeyedCalls.join('\n')}\n` +
+            'Load the files from a page (see --page), or remove the calls.');
+    }
+
+    const dependencyTree = {};
+    allFiles.filter(file => referencedFiles.has(file)).forEach(file => {
+        dependencyTree[file] = fullDependencyTree[file];
+    });
+
+    // Check the targets of the calls about to be encrypted, as parseAndCall will read them at runtime.
+    // The target strings are left out of the messages, since they are what the encryption hides
+    const targetErrors = [];
+    Object.keys(dependencyTree).forEach(file => fileSyntax[file].routerCalls.forEach(call => {
+        const location = `${file}:${call.node.loc.start.line}:${call.node.loc.start.column + 1}`;
+        if (call.target === null || call.callee === null) {
+            const argument = call.target === null ? 'target (its first argument)' : 'callee (its second argument)';
+            targetErrors.push(`Invalid routerForwardCall at ${location}: its ${argument} must be a string literal, or a template literal without expressions, to be encrypted`);
+            return;
+        }
+        if (!call.targetFile) {
+            targetErrors.push(`Invalid routerForwardCall target at ${location}: it does not start with the name of an analyzed file followed by "-"`);
+            return;
+        }
+        const lint = lintCallString(call.targetRest, call.node.arguments.length > 2);
+        lint.warnings.forEach(warning => log.warn(`routerForwardCall target at ${location}: ${warning}`));
+        const errors = [...lint.errors];
+        const syntax = fileSyntax[call.targetFile];
+        if (errors.length === 0 && !syntax.globalFunctions.has(lint.functionName) &&
+            !(syntax.module && resolveExport(call.targetFile, lint.functionName))) {
+            errors.push(`${lint.functionName} is not declared${syntax.module ? ' nor exported' : ''} in ${relativePaths[call.targetFile]}`);
+        }
+        errors.forEach(error => targetErrors.push(`Invalid routerForwardCall target at ${location}: ${error}`));
+    }));
+    if (targetErrors.length > 0) {
+        throw new BuildError(targetErrors.join('\n'));
+    }
+
+    return {
+        dependencyTree,
+        dependencyMatrix: dependencyMatrix.filter(rel => referencedFiles.has(rel.from)),
+        fileContents,
+        relativePaths,
+        canonicalTargets,
+        canonicalCallees,
+        protectedCalls,
+        registeredModules,
+        pages,
+        entryFiles: [...entryFiles],
+        unreferencedFiles
+    };
+}
+
+module.exports = {
+    parseSource,
+    getDeclaredFunctions,
+    getDeclaredMethods,
+    getCalledFunctions,
+    getCalledMethods,
+    getRouterForwardCalls,
+    getRouterForwardReferences,
+    lintCallString,
+    getGlobalFunctions,
+    getModuleImports,
+    getModuleExports,
+    getProtectedFunctions,
+    rewriteProtectedCalls,
+    analyzeDependencies
+};
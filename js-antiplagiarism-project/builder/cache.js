@@ -0,0 +1,57 @@
+const fs = require('fs');
+
+/**
+ * Version of the build cache format: caches written with another version are ignored.
+ */
+const CACHE_VERSION = 5;
+
+/**
+ * First entry of the build cache, since it holds the same secrets as the keystore.
+ */
+const CACHE_WARNING = 'SECRET: encryption keys and plaintext call strings of the previous build, reused by the next one. ' +
+    'Never commit, deploy or share this file, and never print it in CI logs.';
+
+/**
+ * Loads the build cache written by a previous build.
+ * Returns { version, keys } where keys holds the previous encryption keys indexed by relative file path;
+ * a missing, unreadable or outdated cache gives an empty one (the whole project is re-keyed).
+ */
+function loadBuildCache(cacheFile, log) {
+    const empty = { version: CACHE_VERSION, keys: {} };
+    if (!fs.existsSync(cacheFile)) return empty;
+    try {
+        const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        if (!cache || cache.version !== CACHE_VERSION || typeof cache.keys !== 'object') {
+            log.warn(`Ignoring the build cache ${cacheFile}: unsupported format`);
+            return empty;
+        }
+        return cache;
+    } catch (err) {
+        log.warn(`Ignoring the build cache ${cacheFile}: ${err.message}`);
+        return empty;
+    }
+}
+
+/**
+ * Saves the encryption keys of the current build (salts, branch hashes, keys and encrypted calls), so that
+ * the next build can keep the keys of the branches whose file hashes did not change.
+ * NOTE: the cache holds key material and plaintext call strings: like the keystore it starts with a
+ * WARNING entry and is readable by its owner only, and it must never be deployed with the recompiled
+ * project (the build refuses to place it inside the output folder).
+ */
+function saveBuildCache(cacheFile, encryptionKeys) {
+    const keys = {};
+    for (const fileKey in encryptionKeys) {
+        const { keyDerivation, branchHashes, salt, key, encryptedCalls } = encryptionKeys[fileKey];
+        keys[fileKey] = { keyDerivation, branchHashes, salt, key, encryptedCalls };
+    }
+    const cache = { WARNING: CACHE_WARNING, version: CACHE_VERSION, keys };
+    fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.chmodSync(cacheFile, 0o600);
+}
+
+module.exports = {
+    CACHE_VERSION,
+    loadBuildCache,
+    saveBuildCache
+};
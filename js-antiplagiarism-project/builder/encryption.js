@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const subtle = crypto.webcrypto.subtle;
+
+/**
+ * Converts a hex string to a Uint8Array.
+ */
+function hexStringToUint8Array(hexString) {
+    if (hexString.length % 2 !== 0) {
+        throw "Invalid hexString";
+    }
+    const array = new Uint8Array(hexString.length / 2);
+    for (let i = 0; i < hexString.length; i += 2) {
+        array[i / 2] = parseInt(hexString.substr(i, 2), 16);
+    }
+    return array;
+}
+
+/**
+ * XOR two Uint8Arrays of equal length.
+ */
+function xorBuffers(a, b) {
+    if (a.length !== b.length) {
+        throw "Arrays must be of equal length";
+    }
+    const result = new Uint8Array(a.length);
+    for (let i = 0; i < a.length; i++) {
+        result[i] = a[i] ^ b[i];
+    }
+    return result;
+}
+
+/**
+ * Converts a Uint8Array to a hex string.
+ */
+function uint8ArrayToHexString(uint8arr) {
+    return Array.from(uint8arr)
+        .map(b => ('00' + b.toString(16)).slice(-2))
+        .join('');
+}
+
+/**
+ * Recursively collects SHA-256 hashes from dependencies that are non router-dependent.
+ */
+function collectHashesFromDependencies(dependencies, visited, fileContents) {
+    let collected = {};
+    for (const depFile in dependencies) {
+        if (visited.has(depFile)) continue;
+        visited.add(depFile);
+        const depNode = dependencies[depFile];
+        if (!depNode.routerDependant) {
+            if (fileContents[depFile]) {
+                // Compute SHA-256 hash as a hex string and convert to Uint8Array.
+                const hashHex = crypto.createHash('sha256').update(fileContents[depFile]).digest('hex');
+                const hashUint8 = hexStringToUint8Array(hashHex);
+                collected[depFile] = hashUint8;
+            }
+        }
+        const subCollected = collectHashesFromDependencies(depNode.dependencies, visited, fileContents);
+        for (const key in subCollected) {
+            collected[key] = subCollected[key];
+        }
+    }
+    return collected;
+}
+
+/**
+ * Generates a random Uint8Array of length n.
+ */
+function randomBytesUint8Array(n) {
+    let arr = new Uint8Array(n);
+    crypto.randomFillSync(arr);
+    return arr;
+}
+
+/**
+ * Derives length bytes from the project secret and a list of stable inputs (HMAC-SHA-256), used
+ * instead of random bytes by the deterministic builds.
+ */
+function deriveDeterministicBytes(secret, length, ...inputs) {
+    const digest = crypto.createHmac('sha256', secret).update(inputs.join('\0')).digest();
+    return new Uint8Array(digest.subarray(0, length));
+}
+
+/**
+ * Key derivation scheme of the builds, recorded in Router.js as KEY_DERIVATION:
+ *  - "hkdf-sha256": HKDF-SHA-256 over the ordered, path-labelled hashes of the branch files,
+ *    with a random 32-byte salt per file and the path of the file as info (see deriveKey);
+ *  - "xor": the XOR of the branch hashes with a random 32-byte mask, used by the builds that
+ *    do not declare KEY_DERIVATION. Router.js and the verify command still read it.
+ */
+const KEY_DERIVATION = 'hkdf-sha256';
+
+const KEY_DERIVATIONS = ['hkdf-sha256', 'xor'];
+
+/**
+ * Encodes the hashes of the branch files (a map from their path relative to the project to their
+ * hex SHA-256 hash) as the input key material of HKDF: the [path, hash] pairs sorted by path, in JSON.
+ * Router.js encodes them the same way.
+ */
+function getKeyMaterial(branchHashes) {
+    return JSON.stringify(Object.keys(branchHashes).sort().map(file => [file, branchHashes[file]]));
+}
+
+/**
+ * Asynchronously derives the 32-byte key of a router-dependent file with one of KEY_DERIVATIONS,
+ * through the Web Crypto API as Router.js does.
+ * branchHashes maps the path of every hashed branch file to its hex hash, secret is the salt
+ * ("hkdf-sha256") or the mask ("xor") of the file and fileKey the path of the file itself.
+ */
+async function deriveKey(keyDerivation, branchHashes, secret, fileKey) {
+    if (keyDerivation === 'xor') {
+        let xorResult = new Uint8Array(32);
+        for (const file in branchHashes) {
+            xorResult = xorBuffers(xorResult, hexStringToUint8Array(branchHashes[file]));
+        }
+        return xorBuffers(xorResult, secret);
+    }
+    if (keyDerivation !== 'hkdf-sha256') {
+        throw new Error(`unsupported key derivation "${keyDerivation}": expected one of ${KEY_DERIVATIONS.join(', ')}`);
+    }
+    const encoder = new TextEncoder();
+    const keyMaterial = await subtle.importKey(
+        "raw",
+        encoder.encode(getKeyMaterial(branchHashes)),
+        "HKDF",
+        false,
+        ["deriveBits"]
+    );
+    const bits = await subtle.deriveBits(
+        { name: "HKDF", hash: "SHA-256", salt: secret, info: encoder.encode(fileKey) },
+        keyMaterial,
+        256
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * Asynchronously computes the encryption key for a router-dependent file.
+ * For a given router file, it recursively collects SHA-256 hashes of all non router-dependent dependencies,
+ * labels them with their path relative to folderPath (branchHashes) and derives the 256-bit key from
+ * them with HKDF-SHA-256 and a randomly generated 32-byte salt (see deriveKey).
+ *
+ * previousKey is the key computed for the same file by a previous build (from the build cache):
+ * when it used the same scheme and the branch hashes did not change, its salt is reused, so the key
+ * stays the same and "rekeyed" is false.
+ * With the project secret of a deterministic build, the salt is derived from the secret, the path
+ * of the file and its branch hashes instead (see deriveDeterministicBytes): the same sources and
+ * secret always give the same key.
+ */
+async function computeKeyForRouterFile(routerFile, routerNode, fileContents, previousKey, folderPath, secret = null) {
+    const toRelative = file => path.relative(folderPath, file).split(path.sep).join('/');
+    const collectedHashes = Object.fromEntries(
+        Object.entries(collectHashesFromDependencies(routerNode.dependencies, new Set(), fileContents))
+            .map(([file, arr]) => [file, uint8ArrayToHexString(arr)])
+    );
+    const branchHashes = Object.fromEntries(Object.entries(collectedHashes).map(([file, hash]) => [toRelative(file), hash]));
+    const fileKey = toRelative(routerFile);
+    const reuseSalt = !secret && !!previousKey && previousKey.keyDerivation === KEY_DERIVATION && !!previousKey.branchHashes &&
+        getKeyMaterial(previousKey.branchHashes) === getKeyMaterial(branchHashes);
+    let salt;
+    if (secret) {
+        salt = deriveDeterministicBytes(secret, 32, 'salt', fileKey, getKeyMaterial(branchHashes));
+    } else {
+        salt = reuseSalt ? hexStringToUint8Array(previousKey.salt) : randomBytesUint8Array(32);
+    }
+    const finalKey = await deriveKey(KEY_DERIVATION, branchHashes, salt, fileKey);
+    const key = uint8ArrayToHexString(finalKey);
+    return {
+        routerFile,
+        keyDerivation: KEY_DERIVATION,
+        collectedHashes,
+        branchHashes,
+        salt: uint8ArrayToHexString(salt),
+        key,
+        rekeyed: !previousKey || previousKey.key !== key,
+        encryptedCalls: {} // Now an object indexed numerically
+    };
+}
+
+/**
+ * Version of the ciphertext format, stored in the first byte of every encrypted call string:
+ * 3 is AES-256-GCM over a call envelope (see encodeCallEnvelope), 2 was AES-256-GCM over the bare
+ * call string. The call strings of older builds (AES-256-CBC) had no version byte.
+ */
+const CIPHERTEXT_VERSION = 3;
+
+/**
+ * Encodes what gets encrypted for a routerForwardCall site: the call string together with the
+ * file making the call (caller, its path relative to the project) and the call site, the
+ * position of the call among the encrypted calls of that file (1 for the first one).
+ * Router.js refuses to run a call whose caller is not the file that invoked it.
+ */
+function encodeCallEnvelope(callString, caller, site) {
+    return JSON.stringify({ caller, site, call: callString });
+}
+
+/**
+ * Decodes a decrypted call envelope into { caller, site, call }; throws when it is not one.
+ */
+function decodeCallEnvelope(text) {
+    let envelope;
+    try {
+        envelope = JSON.parse(text);
+    } catch (err) {
+        envelope = null;
+    }
+    if (!envelope || typeof envelope.caller !== 'string' || !Number.isInteger(envelope.site) || typeof envelope.call !== 'string') {
+        throw new Error('the decrypted payload is not a call envelope');
+    }
+    return envelope;
+}
+
+/**
+ * Builds the associated data authenticated along with a call string: the format version and the
+ * path of the file owning the key (the callee passed to routerForwardCall, e.g. "file2.js").
+ * A ciphertext moved to another file, or read with another format, fails authentication.
+ */
+function getAssociatedData(fileKey) {
+    const fileKeyBytes = new TextEncoder().encode(fileKey);
+    const associatedData = new Uint8Array(1 + fileKeyBytes.length);
+    associatedData[0] = CIPHERTEXT_VERSION;
+    associatedData.set(fileKeyBytes, 1);
+    return associatedData;
+}
+
+/**
+ * Asynchronously encrypts a given text using AES-256-GCM with the provided 32-byte key, binding
+ * it to fileKey through the associated data (see getAssociatedData).
+ * A new 12-byte IV is generated for each encryption, unless one is given (deterministic builds).
+ * The final output, encoded in base64, is the version byte (CIPHERTEXT_VERSION) followed by the
+ * ciphertext and its 16-byte authentication tag.
+ * The IV is not concatenated to the ciphertext.
+ * This function uses the Web Crypto API.
+ */
+async function encryptText(text, keyUint8, fileKey, iv = randomBytesUint8Array(12)) {
+    const cryptoKey = await subtle.importKey(
+        "raw",
+        keyUint8,
+        { name: "AES-GCM" },
+        false,
+        ["encrypt"]
+    );
+    const encoder = new TextEncoder();
+    const data = encoder.encode(text);
+    const encryptedBuffer = await subtle.encrypt(
+        { name: "AES-GCM", iv: iv, additionalData: getAssociatedData(fileKey) },
+        cryptoKey,
+        data
+    );
+    const payload = new Uint8Array(1 + encryptedBuffer.byteLength);
+    payload[0] = CIPHERTEXT_VERSION;
+    payload.set(new Uint8Array(encryptedBuffer), 1);
+    return {
+        result: uint8ArrayToBase64(payload),
+        iv: uint8ArrayToBase64(iv),
+        ciphertext: uint8ArrayToBase64(payload)
+    };
+}
+
+/**
+ * Asynchronously decrypts a base64 call string produced by encryptText, with its base64 IV, the
+ * 32-byte key and the fileKey it was bound to, the way Router.js does in the browser.
+ * Returns the plaintext; rejects with an explanatory error when the version byte is not
+ * CIPHERTEXT_VERSION, and when authentication fails: a tampered ciphertext, IV or associated
+ * data, or a key other than the one used to encrypt it.
+ */
+async function decryptText(ciphertextBase64, ivBase64, keyUint8, fileKey) {
+    const payload = base64ToUint8Array(ciphertextBase64);
+    if (payload[0] !== CIPHERTEXT_VERSION) {
+        throw new Error(`unsupported ciphertext format (version ${payload[0]}, expected ${CIPHERTEXT_VERSION}): ` +
+            `it was encrypted by ${payload[0] > CIPHERTEXT_VERSION ? 'a newer' : 'an older'} build`);
+    }
+    const cryptoKey = await subtle.importKey(
+        "raw",
+        keyUint8,
+        { name: "AES-GCM" },
+        false,
+        ["decrypt"]
+    );
+    let decryptedBuffer;
+    try {
+        decryptedBuffer = await subtle.decrypt(
+            { name: "AES-GCM", iv: base64ToUint8Array(ivBase64), additionalData: getAssociatedData(fileKey) },
+            cryptoKey,
+            payload.subarray(1)
+        );
+    } catch (err) {
+        throw new Error('tampered ciphertext: authentication failed (the call string, its IV, its file or the key changed)');
+    }
+    return new TextDecoder().decode(decryptedBuffer);
+}
+
+/**
+ * Helper: Converts a base64 string to a Uint8Array.
+ */
+function base64ToUint8Array(base64) {
+    const binary = atob(base64);
+    const array = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        array[i] = binary.charCodeAt(i);
+    }
+    return array;
+}
+
+/**
+ * Helper: Converts a Uint8Array to a base64 string.
+ */
+function uint8ArrayToBase64(uint8arr) {
+    let binary = "";
+    for (let i = 0; i < uint8arr.length; i++) {
+        binary += String.fromCharCode(uint8arr[i]);
+    }
+    return btoa(binary);
+}
+
+module.exports = {
+    KEY_DERIVATION,
+    KEY_DERIVATIONS,
+    CIPHERTEXT_VERSION,
+    getAssociatedData,
+    encodeCallEnvelope,
+    decodeCallEnvelope,
+    hexStringToUint8Array,
+    xorBuffers,
+    uint8ArrayToHexString,
+    uint8ArrayToBase64,
+    base64ToUint8Array,
+    randomBytesUint8Array,
+    deriveDeterministicBytes,
+    collectHashesFromDependencies,
+    getKeyMaterial,
+    deriveKey,
+    computeKeyForRouterFile,
+    encryptText,
+    decryptText
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const { BuildError } = require('./options');
+
+/**
+ * Recursively retrieves all JavaScript files (.js, or the given extensions) from a directory,
+ * converting file paths to absolute paths.
+ */
+function getJsFiles(dir, extensions = ['.js']) {
+    let results = [];
+    const list = fs.readdirSync(dir);
+    list.forEach(file => {
+        const filePath = path.join(dir, file);
+        const stat = fs.statSync(filePath);
+        if (stat && stat.isDirectory()) {
+            results = results.concat(getJsFiles(filePath, extensions));
+        } else {
+            if (extensions.includes(path.extname(file))) {
+                results.push(path.resolve(filePath));
+            }
+        }
+    });
+    return results;
+}
+
+/**
+ * Recursively retrieves all the files of a directory as absolute paths, except the skipped ones
+ * (absolute paths of files or folders).
+ */
+function getAllFiles(dir, skip = []) {
+    let results = [];
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const filePath = path.resolve(dir, entry.name);
+        if (skip.includes(filePath)) return;
+        if (entry.isDirectory()) {
+            results = results.concat(getAllFiles(filePath, skip));
+        } else {
+            results.push(filePath);
+        }
+    });
+    return results;
+}
+
+/**
+ * Tells whether file (an absolute path) is folder itself or lies inside it.
+ */
+function isInsideFolder(folder, file) {
+    const relativePath = path.relative(folder, file);
+    return !path.isAbsolute(relativePath) && relativePath.split(path.sep)[0] !== '..';
+}
+
+/**
+ * Throws a BuildError when dest cannot be the output folder of src, i.e. when it is src itself or
+ * one of its ancestors: emptying or syncing it would delete the sources. Symbolic links are
+ * resolved first.
+ */
+function checkOutputFolder(src, dest) {
+    const realPath = file => fs.existsSync(file) ? fs.realpathSync(file) : path.resolve(file);
+    if (isInsideFolder(realPath(dest), realPath(src))) {
+        throw new BuildError(`Refusing to delete the contents of ${dest}: it contains the project folder ${src}`);
+    }
+}
+
+/**
+ * Empties (removes all files and subfolders) the specified folder.
+ * When src is given, the folder is the output folder of src and is never emptied if that would
+ * delete src (see checkOutputFolder).
+ */
+function emptyFolder(folder, src) {
+    if (src !== undefined) checkOutputFolder(src, folder);
+    if (fs.existsSync(folder)) {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Recursively copies all files and subfolders from src to dest,
+ * preserving folder structure. Absolute paths listed in skip are not copied.
+ */
+function copyFolderRecursive(src, dest, skip = []) {
+    if (!fs.existsSync(dest)) {
+        fs.mkdirSync(dest, { recursive: true });
+    }
+    const entries = fs.readdirSync(src, { withFileTypes: true });
+    for (const entry of entries) {
+        const srcPath = path.join(src, entry.name);
+        const destPath = path.join(dest, entry.name);
+        // Skip if srcPath equals the destination folder (to avoid recursion) or has to be skipped
+        if (path.resolve(srcPath) === path.resolve(dest) || skip.includes(path.resolve(srcPath))) {
+            continue;
+        }
+        if (entry.isDirectory()) {
+            copyFolderRecursive(srcPath, destPath, skip);
+        } else {
+            fs.copyFileSync(srcPath, destPath);
+        }
+    }
+}
+
+/**
+ * Converts a glob into a regular expression matching project-relative paths (with "/" separators).
+ * Supports "**" (any number of folders), "*" (anything but "/") and "?" (one character).
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" also matches no folder at all
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i++;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Returns true if the project-relative path, or one of its parent folders, matches one of the globs.
+ * A glob without "/" (e.g. "vendor") matches a file or folder with that name at any depth.
+ */
+function matchesAnyGlob(relativePath, globs) {
+    const segments = relativePath.split('/');
+    return globs.some(glob => {
+        const regex = globToRegExp(glob);
+        for (let i = 1; i <= segments.length; i++) {
+            const candidate = glob.includes('/') ? segments.slice(0, i).join('/') : segments[i - 1];
+            if (regex.test(candidate)) return true;
+        }
+        return false;
+    });
+}
+
+/**
+ * Returns a filter accepting the absolute file paths, under folderPath, selected by the
+ * include/exclude globs of the options.
+ */
+function createFileFilter(folderPath, options) {
+    return file => {
+        const relativePath = path.relative(folderPath, file).split(path.sep).join('/');
+        return matchesAnyGlob(relativePath, options.include) && !matchesAnyGlob(relativePath, options.exclude);
+    };
+}
+
+/**
+ * Writes content to file only if the file does not already hold it.
+ * Returns true if the file was written.
+ */
+function writeFileIfChanged(file, content) {
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) {
+        return false;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content, 'utf8');
+    return true;
+}
+
+/**
+ * Incremental version of copyFolderRecursive: brings dest in line with src, where the files listed
+ * in outputs ({ absoluteDestPath: content }) replace their copies, touching only what changed.
+ * Plain files are copied when missing, of a different size or older than their source; the outputs
+ * are written when their content differs; files in dest that no longer correspond to any source
+ * or output are removed. Absolute paths listed in skip are not copied.
+ * Throws a BuildError, before touching anything, when dest is src or one of its ancestors.
+ * Returns { written, removed } with the absolute paths of the written and removed files.
+ */
+function syncFolderRecursive(src, dest, outputs, skip = []) {
+    checkOutputFolder(src, dest);
+    const written = [];
+    const expected = new Set();
+
+    (function syncEntries(srcDir, destDir) {
+        for (const entry of fs.readdirSync(srcDir, { withFileTypes: true })) {
+            const srcPath = path.join(srcDir, entry.name);
+            const destPath = path.join(destDir, entry.name);
+            if (path.resolve(srcPath) === path.resolve(dest) || skip.includes(path.resolve(srcPath))) {
+                continue;
+            }
+            if (entry.isDirectory()) {
+                syncEntries(srcPath, destPath);
+                continue;
+            }
+            expected.add(destPath);
+            if (destPath in outputs) continue;
+            const srcStat = fs.statSync(srcPath);
+            const destStat = fs.existsSync(destPath) ? fs.statSync(destPath) : null;
+            if (!destStat || destStat.size !== srcStat.size || destStat.mtimeMs < srcStat.mtimeMs) {
+                fs.mkdirSync(destDir, { recursive: true });
+                fs.copyFileSync(srcPath, destPath);
+                written.push(destPath);
+            }
+        }
+    })(src, dest);
+
+    for (const outputPath in outputs) {
+        expected.add(outputPath);
+        if (writeFileIfChanged(outputPath, outputs[outputPath])) {
+            written.push(outputPath);
+        }
+    }
+
+    // Remove the stale files (and the folders left empty), never leaving dest nor touching src
+    const removed = [];
+    (function removeStale(dir) {
+        if (!fs.existsSync(dir)) return;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const entryPath = path.join(dir, entry.name);
+            if (!isInsideFolder(dest, entryPath) || isInsideFolder(entryPath, src)) continue;
+            if (entry.isDirectory()) {
+                removeStale(entryPath);
+                if (fs.readdirSync(entryPath).length === 0) fs.rmdirSync(entryPath);
+            } else if (!expected.has(entryPath)) {
+                fs.rmSync(entryPath);
+                removed.push(entryPath);
+            }
+        }
+    })(dest);
+
+    return { written, removed };
+}
+
+module.exports = {
+    getJsFiles,
+    getAllFiles,
+    emptyFolder,
+    copyFolderRecursive,
+    writeFileIfChanged,
+    syncFolderRecursive,
+    isInsideFolder,
+    globToRegExp,
+    matchesAnyGlob,
+    createFileFilter
+};
@@ -0,0 +1,211 @@
+const path = require('path');
+const { collectHashesFromDependencies } = require('./encryption');
+const { ConfigError } = require('./options');
+
+const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+
+/**
+ * Finds the strongly connected components of a graph (Tarjan's algorithm).
+ * successors maps every node to the list of its successors.
+ * Returns the components with more than one node, i.e. the dependency cycles.
+ */
+function findCycles(successors) {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+
+    function visit(node) {
+        index.set(node, index.size);
+        lowLink.set(node, index.get(node));
+        stack.push(node);
+        onStack.add(node);
+        for (const next of successors[node]) {
+            if (!index.has(next)) {
+                visit(next);
+                lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+            } else if (onStack.has(next)) {
+                lowLink.set(node, Math.min(lowLink.get(node), index.get(next)));
+            }
+        }
+        if (lowLink.get(node) === index.get(node)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== node);
+            if (component.length > 1) cycles.push(component.sort());
+        }
+    }
+
+    Object.keys(successors).forEach(node => {
+        if (!index.has(node)) visit(node);
+    });
+    return cycles;
+}
+
+/**
+ * Builds the file-level dependency graph of an analysis (see analyze), with the files identified
+ * by their path relative to the project (e.g. "testdep/file4.js"):
+ *  - nodes: [{ id, routerDependant, entry, reachable, inCycle, keyInputs, feedsKeys }] where entry
+ *    tells whether a page loads the file directly, reachable whether a page loads it at all,
+ *    keyInputs lists the files whose hashes make up the encryption key of a router-dependent file
+ *    and feedsKeys the router-dependent files whose key the file is part of;
+ *  - edges: [{ from, to, labels, inCycle }], one per pair of files, labelled with the functions
+ *    (or routerForwardCall(...) and import ...) linking them;
+ *  - cycles: the groups of files depending on each other.
+ * The files no page loads are included as unreachable nodes, without edges; since they are not
+ * keyed, they are never router-dependent.
+ */
+function buildDependencyGraph(analysis) {
+    const { folderPath, dependencyTree, dependencyMatrix, fileContents, entryFiles, unreferencedFiles } = analysis;
+    const toId = file => path.relative(folderPath, file).split(path.sep).join('/');
+    const entries = new Set(entryFiles.map(toId));
+
+    const nodes = {};
+    const addNode = (file, routerDependant, reachable) => {
+        const id = toId(file);
+        nodes[id] = { id, routerDependant, entry: entries.has(id), reachable, inCycle: false, keyInputs: [], feedsKeys: [] };
+    };
+    Object.keys(dependencyTree).forEach(file => addNode(file, dependencyTree[file].routerDependant, true));
+    unreferencedFiles.forEach(file => addNode(file, false, false));
+
+    // The matrix lists a relation once per branch it was found in: merge them per pair of files
+    const edges = {};
+    dependencyMatrix.forEach(rel => {
+        const from = toId(rel.from);
+        const to = toId(rel.to);
+        const edge = edges[`${from}\n${to}`] = edges[`${from}\n${to}`] || { from, to, labels: [], inCycle: false };
+        if (!edge.labels.includes(rel.function)) edge.labels.push(rel.function);
+    });
+
+    // Same branch walk as computeKeyForRouterFile, so that keyInputs are exactly the hashed files
+    for (const file in dependencyTree) {
+        if (!dependencyTree[file].routerDependant) continue;
+        const inputs = Object.keys(collectHashesFromDependencies(dependencyTree[file].dependencies, new Set(), fileContents)).map(toId);
+        nodes[toId(file)].keyInputs = inputs.sort();
+        inputs.forEach(input => nodes[input].feedsKeys.push(toId(file)));
+    }
+
+    const successors = {};
+    Object.keys(nodes).forEach(id => { successors[id] = []; });
+    Object.values(edges).forEach(edge => successors[edge.from].push(edge.to));
+    const cycles = findCycles(successors);
+    const cycleOf = {};
+    cycles.forEach((cycle, i) => cycle.forEach(id => {
+        cycleOf[id] = i;
+        nodes[id].inCycle = true;
+    }));
+    Object.values(edges).forEach(edge => {
+        edge.inCycle = edge.from in cycleOf && cycleOf[edge.from] === cycleOf[edge.to];
+    });
+
+    const compare = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+    return {
+        nodes: Object.values(nodes).map(node => ({ ...node, feedsKeys: node.feedsKeys.sort() })).sort((a, b) => compare(a.id, b.id)),
+        edges: Object.values(edges).sort((a, b) => compare(a.from, b.from) || compare(a.to, b.to)),
+        cycles
+    };
+}
+
+/**
+ * Formats a dependency graph (see buildDependencyGraph) as Graphviz DOT.
+ */
+function toDot(graph) {
+    const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    const lines = [
+        'digraph dependencies {',
+        '    // Filled: router-dependent file, with the files making up its key; bold: loaded by a page;',
+        '    // dashed: not loaded by any page; red: dependency cycle',
+        '    rankdir=LR;',
+        '    node [shape=box, fontname="Helvetica"];',
+        '    edge [fontname="Helvetica", fontsize=10];'
+    ];
+    graph.nodes.forEach(node => {
+        const attributes = [];
+        const styles = [];
+        if (node.routerDependant) {
+            const inputs = node.keyInputs.length ? node.keyInputs.join(', ') : 'no other file';
+            attributes.push(`label=${quote(`${node.id}\nkey: ${inputs}`)}`);
+            styles.push('filled');
+            attributes.push('fillcolor="#ffe0b2"');
+        }
+        if (node.entry) styles.push('bold');
+        if (!node.reachable) {
+            styles.push('dashed');
+            attributes.push('color=gray', 'fontcolor=gray');
+        }
+        if (node.inCycle) attributes.push('color=red');
+        if (styles.length) attributes.push(`style=${quote(styles.join(','))}`);
+        lines.push(`    ${quote(node.id)}${attributes.length ? ` [${attributes.join(', ')}]` : ''};`);
+    });
+    graph.edges.forEach(edge => {
+        const attributes = [`label=${quote(edge.labels.join('\n'))}`];
+        if (edge.inCycle) attributes.push('color=red', 'fontcolor=red');
+        lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)} [${attributes.join(', ')}];`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a dependency graph (see buildDependencyGraph) as a Mermaid flowchart.
+ */
+function toMermaid(graph) {
+    const escape = text => text.replace(/"/g, '#quot;');
+    const ids = {};
+    graph.nodes.forEach((node, i) => { ids[node.id] = `n${i}`; });
+    const lines = [
+        'flowchart LR',
+        '    %% Filled: router-dependent file, with the files making up its key; bold: loaded by a page;',
+        '    %% dashed: not loaded by any page; red: dependency cycle',
+        '    classDef routerDependant fill:#ffe0b2',
+        '    classDef entry stroke-width:3px',
+        '    classDef unreachable stroke-dasharray:5 5,color:gray',
+        '    classDef cycle stroke:red'
+    ];
+    graph.nodes.forEach(node => {
+        let label = escape(node.id);
+        if (node.routerDependant) {
+            label += `<br/>key: ${escape(node.keyInputs.length ? node.keyInputs.join(', ') : 'no other file')}`;
+        }
+        lines.push(`    ${ids[node.id]}["${label}"]`);
+    });
+    const cycleLinks = [];
+    graph.edges.forEach((edge, i) => {
+        lines.push(`    ${ids[edge.from]} -->|"${escape(edge.labels.join(', '))}"| ${ids[edge.to]}`);
+        if (edge.inCycle) cycleLinks.push(i);
+    });
+    const classes = {
+        routerDependant: graph.nodes.filter(node => node.routerDependant),
+        entry: graph.nodes.filter(node => node.entry),
+        unreachable: graph.nodes.filter(node => !node.reachable),
+        cycle: graph.nodes.filter(node => node.inCycle)
+    };
+    for (const name in classes) {
+        if (classes[name].length) lines.push(`    class ${classes[name].map(node => ids[node.id]).join(',')} ${name}`);
+    }
+    if (cycleLinks.length) lines.push(`    linkStyle ${cycleLinks.join(',')} stroke:red`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a dependency graph in one of GRAPH_FORMATS: "dot", "mermaid" or "json".
+ */
+function formatGraph(graph, format) {
+    switch (format) {
+        case 'dot': return toDot(graph);
+        case 'mermaid': return toMermaid(graph);
+        case 'json': return JSON.stringify(graph, null, 2) + '\n';
+        default: throw new ConfigError(`Unknown graph format "${format}": expected one of ${GRAPH_FORMATS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    GRAPH_FORMATS,
+    buildDependencyGraph,
+    formatGraph
+};
@@ -0,0 +1,194 @@
+const path = require('path');
+const { BuildError } = require('./options');
+
+/**
+ * Reads the value of an attribute from the attribute list of an HTML tag
+ * (quoted with " or ', or unquoted). Returns null when the attribute is missing,
+ * and "" for an attribute without value.
+ */
+function getAttribute(attributes, name) {
+    const regex = new RegExp(`(?:^|\\s)${name}(?:\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+)))?(?=\\s|\\/|$)`, 'i');
+    const match = attributes.match(regex);
+    if (!match) return null;
+    return match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : '';
+}
+
+/**
+ * Extracts the <script> tags of an HTML page, in document order.
+ * Returns an array of { src, type, module, attributes, content, start, end } where src is null
+ * for inline scripts, attributes is the raw attribute list, content is the inline code and
+ * start/end are the offsets of the whole tag in the page. Comments are skipped.
+ */
+function getScriptTags(html) {
+    const scripts = [];
+    const regex = /<!--[\s\S]*?-->|<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+    let match;
+    while ((match = regex.exec(html)) !== null) {
+        if (match[0].startsWith('<!--')) continue;
+        const attributes = match[1];
+        const type = getAttribute(attributes, 'type');
+        scripts.push({
+            src: getAttribute(attributes, 'src'),
+            type,
+            module: !!type && type.trim().toLowerCase() === 'module',
+            attributes,
+            content: match[2],
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return scripts;
+}
+
+/**
+ * Extracts the <link> tags of an HTML page, in document order.
+ * Returns an array of { href, rel, attributes, start, end } where rel is the list of the lowercase
+ * link types and attributes the raw attribute list (with the "/" of a self-closing tag).
+ * Comments and the content of the <script> blocks are skipped.
+ */
+function getLinkTags(html) {
+    const links = [];
+    const regex = /<!--[\s\S]*?-->|<script\b[^>]*>[\s\S]*?<\/script\s*>|<link\b([^>]*)>/gi;
+    let match;
+    while ((match = regex.exec(html)) !== null) {
+        if (match[1] === undefined) continue;
+        const attributes = match[1];
+        links.push({
+            href: getAttribute(attributes, 'href'),
+            rel: (getAttribute(attributes, 'rel') || '').toLowerCase().split(/\s+/).filter(Boolean),
+            attributes,
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return links;
+}
+
+/**
+ * Returns the code of the inline <script> blocks of an HTML page, in document order, as the browser
+ * exposes it in their textContent (with the line breaks normalized to "\n").
+ */
+function getInlineScripts(html) {
+    return getScriptTags(html).filter(script => script.src === null).map(script => script.content.replace(/\r\n?/g, '\n'));
+}
+
+/**
+ * Resolves the src of a script tag (or any URL of a page) to an absolute file path:
+ * relative URLs are resolved against the page folder, root-relative ones ("/js/app.js")
+ * against the project folder. Returns null for external URLs (http:, https:, //, data: ...).
+ * Query strings and fragments are ignored. A malformed percent-encoding ("%zz") raises a BuildError
+ * naming the page (or the file importing the URL).
+ */
+function resolvePageUrl(folderPath, pageFile, url) {
+    if (!url || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) return null;
+    let cleanUrl;
+    try {
+        cleanUrl = decodeURI(url.split(/[?#]/)[0]);
+    } catch (err) {
+        throw new BuildError(`Malformed URL "${url}" in ${pageFile}: ${err.message}`);
+    }
+    if (!cleanUrl) return null;
+    return cleanUrl.startsWith('/')
+        ? path.join(folderPath, cleanUrl)
+        : path.resolve(path.dirname(pageFile), cleanUrl);
+}
+
+/**
+ * Returns the indentation of the line where offset is, when only whitespace precedes offset on it.
+ */
+function getIndentation(html, offset) {
+    const lineStart = html.lastIndexOf('\n', offset - 1) + 1;
+    const prefix = html.slice(lineStart, offset);
+    return /^[ \t]*$/.test(prefix) ? prefix : '';
+}
+
+/**
+ * Checks that a page loads Router.js before the scripts that need it and, when the page does not
+ * load it at all, injects <script src="routerSrc"></script>:
+ *  - before the first classic script calling routerForwardCall while loading (callsRouterOnLoad),
+ *    since routerForwardCall only exists once Router.js has run;
+ *  - otherwise after the last script of the page (or before </body> when there is none).
+ * scripts are the page scripts (see getScriptTags) with their callsRouterOnLoad flag, and
+ * isRouterScript tells which one loads Router.js. With inject false the tag is only checked.
+ * Returns { content, injected, warnings }.
+ */
+function ensureRouterScript(html, scripts, { routerSrc, isRouterScript, inject = true }) {
+    const warnings = [];
+    const isSynchronous = script => !script.module &&
+        getAttribute(script.attributes, 'async') === null && getAttribute(script.attributes, 'defer') === null;
+    const callerIndex = scripts.findIndex(script => script.callsRouterOnLoad && isSynchronous(script));
+    const routerIndex = scripts.findIndex(isRouterScript);
+
+    if (routerIndex !== -1) {
+        if (!isSynchronous(scripts[routerIndex])) {
+            warnings.push(`${routerSrc} must be loaded as a classic script, without type="module", async or defer`);
+        }
+        if (callerIndex !== -1 && callerIndex < routerIndex) {
+            warnings.push(`${routerSrc} is loaded after ${scripts[callerIndex].src || 'an inline script'}, which calls routerForwardCall while loading`);
+        }
+        return { content: html, injected: false, warnings };
+    }
+    if (!inject) {
+        warnings.push(`${routerSrc} is not loaded`);
+        return { content: html, injected: false, warnings };
+    }
+
+    const eol = html.includes('\r\n') ? '\r\n' : '\n';
+    const tag = `<script src="${routerSrc}"></script>`;
+    let offset;
+    let insertion;
+    if (callerIndex !== -1) {
+        offset = scripts[callerIndex].start;
+        insertion = tag + eol + getIndentation(html, offset);
+    } else if (scripts.length > 0) {
+        offset = scripts[scripts.length - 1].end;
+        insertion = eol + getIndentation(html, scripts[scripts.length - 1].start) + tag;
+    } else {
+        const bodyEnd = html.search(/<\/body\s*>/i);
+        offset = bodyEnd !== -1 ? bodyEnd : html.length;
+        insertion = tag + eol + getIndentation(html, offset);
+    }
+    return { content: html.slice(0, offset) + insertion + html.slice(offset), injected: true, warnings };
+}
+
+/**
+ * Adds Subresource Integrity attributes to the tags of an HTML page loading files: the external
+ * <script> tags and the <link> tags the browser checks (rel "stylesheet", "preload" or
+ * "modulepreload"). getIntegrity(url) returns the integrity of the file at the URL of a tag (e.g.
+ * "sha256-..."), or null to leave the tag as it is. The integrity attribute of a tag is replaced and
+ * crossorigin="anonymous" is added unless the tag already has a crossorigin attribute, since the
+ * browser only checks the integrity of files fetched with CORS.
+ * Returns { content, tags } where tags is the number of tags rewritten.
+ */
+function addIntegrityAttributes(html, getIntegrity) {
+    const tags = [
+        ...getScriptTags(html).filter(script => script.src !== null).map(script => ({ ...script, name: 'script', url: script.src })),
+        ...getLinkTags(html).filter(link => link.href !== null && link.rel.some(rel => ['stylesheet', 'preload', 'modulepreload'].includes(rel)))
+            .map(link => ({ ...link, name: 'link', url: link.href }))
+    ].sort((a, b) => b.start - a.start);
+
+    let content = html;
+    let rewritten = 0;
+    tags.forEach(tag => {
+        const integrity = getIntegrity(tag.url);
+        if (!integrity) return;
+        const [, attributes, selfClosing] = tag.attributes.match(/^([\s\S]*?)(\s*\/)?$/);
+        let newAttributes = attributes.replace(/\s+integrity(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?(?=\s|$)/gi, '') + ` integrity="${integrity}"`;
+        if (getAttribute(attributes, 'crossorigin') === null) newAttributes += ' crossorigin="anonymous"';
+        const tagName = content.slice(tag.start, tag.start + tag.name.length + 1);
+        const openingTagEnd = tag.start + tagName.length + tag.attributes.length;
+        content = content.slice(0, tag.start) + tagName + newAttributes + (selfClosing || '') + content.slice(openingTagEnd);
+        rewritten++;
+    });
+    return { content, tags: rewritten };
+}
+
+module.exports = {
+    getAttribute,
+    getScriptTags,
+    getLinkTags,
+    getInlineScripts,
+    resolvePageUrl,
+    ensureRouterScript,
+    addIntegrityAttributes
+};
@@ -0,0 +1,559 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const { analyzeDependencies, parseSource, getRouterForwardCalls } = require('./analyzer');
+const { KEY_DERIVATION, computeKeyForRouterFile, uint8ArrayToBase64 } = require('./encryption');
+const { getJsFiles, getAllFiles, emptyFolder, copyFolderRecursive, syncFolderRecursive, createFileFilter, isInsideFolder } = require('./files');
+const { loadBuildCache, saveBuildCache } = require('./cache');
+const { buildManifest, buildKeystore, saveManifest, saveKeystore } = require('./manifest');
+const { watch } = require('./watch');
+const { recompileRouterFiles, buildIvsMapping, updateRouterContent } = require('./router');
+const { ensureRouterScript, addIntegrityAttributes, resolvePageUrl, getInlineScripts } = require('./html');
+const { buildDependencyGraph, formatGraph, GRAPH_FORMATS } = require('./graph');
+const { verifyRecompiledFolder } = require('./verify');
+const { minifyContents } = require('./minify');
+const { createSourceMap, appendSourceMappingUrl } = require('./sourcemap');
+const {
+    ConfigError, BuildError, resolveOptions, validateOptions, loadConfigFile, readProjectSecret, createLogger, DEFAULT_OPTIONS,
+    CONFIG_FILE_NAME, LOG_LEVELS, SECRET_ENV_VARIABLE
+} = require('./options');
+
+/**
+ * The builder's own files (and the reference receiver of the tampering reports): never analyzed
+ * nor copied when they live inside the project folder.
+ */
+const BUILDER_PATHS = [__dirname, path.resolve(__dirname, '..', 'RouterCallsCreator.js'), path.resolve(__dirname, '..', 'TamperReportReceiver.js')];
+
+/**
+ * Resolves the project folder and the output folder, checking that both are usable.
+ */
+function resolveFolders(folder, options) {
+    const folderPath = path.resolve(folder);
+    if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+        throw new ConfigError(`Project folder not found: ${folderPath}`);
+    }
+    const outDir = path.resolve(folderPath, options.outDir);
+    // The output folder is emptied and synced: outside the project (or above it) that would
+    // delete the sources or unrelated files
+    if (!isInsideFolder(folderPath, outDir) || outDir === folderPath) {
+        throw new ConfigError(`The output folder must be a subfolder of the project folder: ${outDir}`);
+    }
+    return { folderPath, outDir };
+}
+
+/**
+ * Returns the path of a file relative to a folder, with "/" separators (e.g. "testdep/file4.js"),
+ * as used in the runtime maps of Router.js.
+ */
+function toRelativePath(folderPath, file) {
+    return path.relative(folderPath, file).split(path.sep).join('/');
+}
+
+/**
+ * Returns a predicate telling whether an absolute path is one of the router files:
+ * a routerFile with a folder is matched by its path relative to the project, otherwise by its name.
+ */
+function createRouterFileMatcher(folderPath, routerFile) {
+    return file => {
+        const relativePath = toRelativePath(folderPath, file);
+        return routerFile.includes('/')
+            ? relativePath === routerFile.replace(/^\.\//, '')
+            : path.basename(file) === routerFile;
+    };
+}
+
+/**
+ * Analyzes the project in the given folder.
+ * Returns { folderPath, outDir, dependencyTree, dependencyMatrix, fileContents, relativePaths, canonicalTargets,
+ * canonicalCallees, protectedCalls, registeredModules, pages, entryFiles, unreferencedFiles } where fileContents
+ * holds the sources (with the calls to protected functions already rewritten and the export registration appended
+ * to the ES modules listed in registeredModules), indexed by absolute path. Only the files loaded by the pages
+ * (options.pages) are in the dependency tree.
+ * Throws a BuildError when a routerForwardCall target or callee may refer to several files, or when
+ * a target is invalid (see lintCallString).
+ */
+function analyze(folder, options = {}) {
+    options = resolveOptions(options);
+    const { folderPath, outDir } = resolveFolders(folder, options);
+    const fileFilter = createFileFilter(folderPath, options);
+    const pageFilter = createFileFilter(folderPath, { include: options.pages, exclude: options.exclude });
+    const isBuilderPath = file => BUILDER_PATHS.some(p => file === p || file.startsWith(p + path.sep));
+    const analysis = analyzeDependencies(folderPath, {
+        protectedFunctions: options.protect,
+        outDir,
+        extensions: options.extensions,
+        fileFilter: file => fileFilter(file) && !isBuilderPath(file),
+        pageFilter: file => pageFilter(file) && !isBuilderPath(file),
+        isRouterFile: createRouterFileMatcher(folderPath, options.routerFile),
+        logger: options.logger
+    });
+    return { folderPath, outDir, ...analysis };
+}
+
+/**
+ * Asynchronously computes the encryption key of every router-dependent file of an analysis
+ * (see computeKeyForRouterFile).
+ * Returns an object indexed by the path of the file relative to the project (e.g. "testdep/file4.js"),
+ * as expected by Router.js.
+ * previousKeys (from the build cache) lets the files whose branch did not change keep their key;
+ * secret, the project secret of a deterministic build, derives the keys from the sources instead.
+ */
+async function computeEncryptionKeys(analysis, previousKeys = {}, secret = null) {
+    const encryptionKeys = {};
+    for (const file in analysis.dependencyTree) {
+        if (analysis.dependencyTree[file].routerDependant) {
+            const relativePath = toRelativePath(analysis.folderPath, file);
+            encryptionKeys[relativePath] = await computeKeyForRouterFile(file, analysis.dependencyTree[file], analysis.fileContents,
+                previousKeys[relativePath], analysis.folderPath, secret);
+        }
+    }
+    return encryptionKeys;
+}
+
+/**
+ * Lists the router files of a project: every router file found in it or, when there is none, a new
+ * one at the root of the output folder.
+ * Returns [{ source, output, routerPath }] with the absolute paths of the source (null for a new
+ * router file) and of the output, and the path of the router file relative to the project.
+ */
+function getRouterFiles(folderPath, outDir, options) {
+    const isRouterFile = createRouterFileMatcher(folderPath, options.routerFile);
+    const sources = getJsFiles(folderPath, options.extensions)
+        .filter(file => !file.startsWith(outDir + path.sep) && isRouterFile(file));
+    if (sources.length === 0) {
+        const routerPath = path.basename(options.routerFile);
+        return [{ source: null, output: path.join(outDir, routerPath), routerPath }];
+    }
+    return sources.map(source => ({
+        source,
+        output: path.join(outDir, path.relative(folderPath, source)),
+        routerPath: toRelativePath(folderPath, source)
+    }));
+}
+
+/**
+ * Builds the router files for a compiled project: computes the SHA-256 hashes of the output files
+ * and the base64 declarations (IVS_MAPPING_BASE64, DEPENDENCY_TREE_BASE64, PRECOMPUTED_HASHES_BASE64),
+ * together with KEY_DERIVATION, the key derivation scheme of the build, then applies them to every
+ * router file found in the project (or to a new one at the root of the output folder when there is
+ * none), together with ROUTER_PATH, the path of the router file itself, from which Router.js finds
+ * the root URL of the application.
+ * The integrity of the other files the pages load is declared too: PAGE_HASHES_BASE64 holds the
+ * hash of every page, as written in the output folder, the hashes of its inline <script> blocks
+ * in document order (see getInlineScripts) and the scripts of PRECOMPUTED_HASHES_BASE64 it loads,
+ * the only ones Router.js checks on that page; ASSET_HASHES_BASE64 the hash of every asset
+ * (options.assets, e.g. stylesheets and images).
+ * CALL_SITES_BASE64 holds, for every router-dependent file, the position of each of its
+ * routerForwardCall sites in the output folder as [startLine, startColumn, endLine, endColumn]
+ * (1-based columns, the end excluded), in the order the call sites are numbered: Router.js finds the
+ * call site invoking it from the position of its stack frame.
+ * BUILD_ID identifies the build in the tampering reports of Router.js: the first 16 hexadecimal
+ * digits of the SHA-256 hash of the other declarations.
+ * All the maps are keyed by the paths of the files relative to the project (e.g. "testdep/file4.js").
+ *
+ * compilation holds { folderPath, outDir, dependencyTree, fileContents, encryptionKeys, rewrittenContents,
+ * ivsMapping, pages, pageOutputs, assetFiles }, as gathered by recompile; pageOutputs maps the output path of the
+ * rewritten pages to their content (see buildPages), the other pages being copied as they are.
+ * Returns { precomputedHashes, pageHashes, assetHashes, declarations, outputs } where outputs maps
+ * each router output path to its content.
+ */
+function buildRouter(compilation, options = {}) {
+    options = resolveOptions(options);
+    const log = options.logger;
+    const {
+        folderPath, outDir, dependencyTree, fileContents, encryptionKeys = {}, rewrittenContents, ivsMapping, pages = [], pageOutputs = {}, assetFiles = []
+    } = compilation;
+    const isRouterFile = createRouterFileMatcher(folderPath, options.routerFile);
+    const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+    // Hashes of the analyzed files loaded by the pages as they are written in the output folder,
+    // router files excluded
+    const precomputedHashes = {};
+    for (const file in dependencyTree) {
+        if (isRouterFile(file)) continue;
+        const content = rewrittenContents[file] !== undefined ? rewrittenContents[file] : fileContents[file];
+        precomputedHashes[toRelativePath(folderPath, file)] = sha256(content);
+    }
+
+    const pageHashes = {};
+    pages.forEach(page => {
+        const outputPath = path.join(outDir, path.relative(folderPath, page.file));
+        const content = outputPath in pageOutputs ? pageOutputs[outputPath] : page.html;
+        pageHashes[toRelativePath(folderPath, page.file)] = {
+            hash: sha256(content),
+            inlineScripts: getInlineScripts(content).map(sha256),
+            scripts: (page.loadedFiles || []).map(file => toRelativePath(folderPath, file)).filter(file => file in precomputedHashes)
+        };
+    });
+    const assetHashes = {};
+    assetFiles.forEach(file => {
+        assetHashes[toRelativePath(folderPath, file)] = sha256(fs.readFileSync(file));
+    });
+
+    // The call sites of the finished files, numbered as recompileRouterFiles numbers them when it
+    // encrypts the calls (minification keeps every call, in the same order)
+    const callSites = {};
+    for (const fileKey in encryptionKeys) {
+        const content = rewrittenContents[encryptionKeys[fileKey].routerFile];
+        callSites[fileKey] = getRouterForwardCalls(parseSource(content)).map(({ node }) => [
+            node.loc.start.line, node.loc.start.column + 1, node.loc.end.line, node.loc.end.column + 1
+        ]);
+    }
+
+    const toRelativeTree = tree => Object.fromEntries(Object.entries(tree).map(([file, node]) => [
+        toRelativePath(folderPath, file),
+        { routerDependant: node.routerDependant, dependencies: toRelativeTree(node.dependencies) }
+    ]));
+    const toBase64 = value => uint8ArrayToBase64(new TextEncoder().encode(JSON.stringify(value, null, 2)));
+    const toCompactBase64 = value => uint8ArrayToBase64(new TextEncoder().encode(JSON.stringify(value)));
+    const declarations = {
+        IVS_MAPPING_BASE64: toBase64(ivsMapping),
+        DEPENDENCY_TREE_BASE64: toBase64(toRelativeTree(dependencyTree)),
+        PRECOMPUTED_HASHES_BASE64: toCompactBase64(precomputedHashes),
+        PAGE_HASHES_BASE64: toCompactBase64(pageHashes),
+        ASSET_HASHES_BASE64: toCompactBase64(assetHashes),
+        CALL_SITES_BASE64: toCompactBase64(callSites),
+        KEY_DERIVATION
+    };
+    // The build id only depends on what Router.js checks, so rebuilding the same output gives the same id
+    declarations.BUILD_ID = sha256(JSON.stringify(declarations)).slice(0, 16);
+
+    const outputs = {};
+    getRouterFiles(folderPath, outDir, options).forEach(({ source, output, routerPath }) => {
+        if (!source) {
+            log.warn(`No ${options.routerFile} found in ${folderPath}. Creating a new ${routerPath} at the root of the output folder.`);
+        }
+        const routerContent = source ? fs.readFileSync(source, 'utf8') : "";
+        outputs[output] = updateRouterContent(routerContent, { ...declarations, ROUTER_PATH: routerPath });
+    });
+    return { precomputedHashes, pageHashes, assetHashes, declarations, outputs };
+}
+
+/**
+ * Checks the Router.js <script> tag of every page loading scripts of the project and, with
+ * options.injectRouter, injects it where missing (see ensureRouterScript for its position).
+ * routerOutput is the output path of the Router.js the pages load (see getRouterFiles).
+ * With options.sri, the tags of every page loading files of the project get integrity attributes
+ * (see addIntegrityAttributes) holding the SHA-256 hash of the files as written in the output
+ * folder: compilation.scriptOutputs maps the output path of the generated scripts to their content,
+ * the other files being copied as they are. The Router.js tag gets none, since Router.js declares
+ * the hashes of the pages themselves.
+ * Returns { outputs, injectedPages, integrityPages } where outputs maps the output path of each
+ * rewritten page to its content, and integrityPages lists the pages that got integrity attributes.
+ */
+function buildPages(compilation, routerOutput, options) {
+    const log = options.logger;
+    const { folderPath, outDir, dependencyTree, pages, scriptOutputs = {} } = compilation;
+    const isRouterFile = createRouterFileMatcher(folderPath, options.routerFile);
+    const getIntegrity = file => {
+        if (!file || isRouterFile(file)) return null;
+        const outputPath = path.join(outDir, path.relative(folderPath, file));
+        let content = scriptOutputs[outputPath];
+        if (content === undefined) {
+            if (!fs.existsSync(file) || !fs.statSync(file).isFile()) return null;
+            content = fs.readFileSync(file);
+        }
+        return 'sha256-' + crypto.createHash('sha256').update(content).digest('base64');
+    };
+
+    const outputs = {};
+    const injectedPages = [];
+    const integrityPages = [];
+    pages.forEach(page => {
+        const pageOutput = path.join(outDir, path.relative(folderPath, page.file));
+        let content = page.html;
+        const loadsProjectScripts = page.scripts.some(script =>
+            (script.file && dependencyTree[script.file] && !isRouterFile(script.file)) || script.imports.length > 0 || script.callsRouterOnLoad);
+        if (loadsProjectScripts) {
+            const routerSrc = path.relative(path.dirname(pageOutput), routerOutput).split(path.sep).join('/');
+            const result = ensureRouterScript(content, page.scripts, {
+                routerSrc,
+                isRouterScript: script => !!script.file && isRouterFile(script.file),
+                inject: options.injectRouter
+            });
+            result.warnings.forEach(warning => log.warn(`${page.file}: ${warning}`));
+            if (result.injected) {
+                log.debug(`Injected <script src="${routerSrc}"> into ${pageOutput}`);
+                content = result.content;
+                injectedPages.push(page.file);
+            }
+        }
+        if (options.sri) {
+            const result = addIntegrityAttributes(content, url => getIntegrity(resolvePageUrl(folderPath, page.file, url)));
+            if (result.tags > 0) {
+                log.debug(`Added integrity attributes to ${result.tags} tags of ${pageOutput}`);
+                content = result.content;
+                integrityPages.push(page.file);
+            }
+        }
+        if (content !== page.html) outputs[pageOutput] = content;
+    });
+    return { outputs, injectedPages, integrityPages };
+}
+
+/**
+ * Writes a compiled project into its output folder: the project is copied into it (except the
+ * output folder, the builder and the skipped paths) and the outputs ({ absolutePath: content })
+ * are written over the copies.
+ * With clean, the folder is emptied first and everything is written again; otherwise only the
+ * changed files are written and the stale ones removed.
+ * Returns { written, removed } with the absolute paths of the written and removed files.
+ */
+function writeOutput(folderPath, outDir, outputs, skip = [], clean = false) {
+    skip = [outDir, ...BUILDER_PATHS, ...skip];
+    if (!clean) {
+        return syncFolderRecursive(folderPath, outDir, outputs, skip);
+    }
+    emptyFolder(outDir, folderPath);
+    fs.mkdirSync(outDir, { recursive: true });
+    copyFolderRecursive(folderPath, outDir, skip);
+    for (const outputPath in outputs) {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, outputs[outputPath], 'utf8');
+    }
+    return { written: Object.keys(outputs), removed: [] };
+}
+
+/**
+ * Finds the assets of a project whose integrity Router.js checks: the files matching options.assets
+ * (and not options.exclude), scripts and pages excluded since they are checked anyway. The output
+ * folder, the builder and the skipped paths (absolute) are left out.
+ */
+function findAssetFiles(analysis, options, skip = []) {
+    if (options.assets.length === 0) return [];
+    const { folderPath, outDir, pages } = analysis;
+    const assetFilter = createFileFilter(folderPath, { include: options.assets, exclude: options.exclude });
+    const pageFiles = new Set(pages.map(page => page.file));
+    return getAllFiles(folderPath, [outDir, ...BUILDER_PATHS, ...skip])
+        .filter(file => assetFilter(file) && !options.extensions.includes(path.extname(file)) && !pageFiles.has(file));
+}
+
+/**
+ * Finishes recompiled files before they are hashed: with options.minify they are minified (see
+ * minifyContents) and with options.sourceMaps each one that differs from its source gets a source
+ * map leading back to the source (see createSourceMap), written next to it and referenced by a
+ * comment at its end.
+ * contents maps the absolute source paths of the files to their recompiled content.
+ * Returns { contents, sourceMaps } where contents only holds the files that were finished and
+ * sourceMaps maps the output path of each source map to its content.
+ */
+async function finishContents(compilation, contents, options) {
+    const { folderPath, outDir } = compilation;
+    const toOutputPath = file => path.join(outDir, path.relative(folderPath, file));
+    const inputMaps = {};
+    if (options.sourceMaps) {
+        for (const file in contents) {
+            const source = fs.readFileSync(file, 'utf8');
+            if (!options.minify && contents[file] === source) continue;
+            const outputPath = toOutputPath(file);
+            inputMaps[file] = createSourceMap(source, contents[file], {
+                file: path.basename(outputPath),
+                source: path.relative(path.dirname(outputPath), file).split(path.sep).join('/')
+            });
+        }
+    }
+
+    let finished = Object.fromEntries(Object.keys(inputMaps).map(file => [file, contents[file]]));
+    let sourceMaps = inputMaps;
+    if (options.minify && Object.keys(contents).length > 0) {
+        ({ contents: finished, sourceMaps } = await minifyContents(contents, inputMaps));
+    }
+    const sourceMapOutputs = {};
+    for (const file in sourceMaps) {
+        const sourceMapPath = toOutputPath(file) + '.map';
+        finished[file] = appendSourceMappingUrl(finished[file], path.basename(sourceMapPath));
+        sourceMapOutputs[sourceMapPath] = JSON.stringify(sourceMaps[file]) + '\n';
+    }
+    return { contents: finished, sourceMaps: sourceMapOutputs };
+}
+
+/**
+ * Recompiles the project in the given folder: analysis, encryption of the routerForwardCall
+ * target strings, Router.js update, check (and injection) of the Router.js tag in the pages and
+ * (unless options.dryRun) writing of the output folder.
+ *
+ * Returns the analysis (see analyze) completed with:
+ *  - encryptionKeys: per router-dependent file key details and encrypted calls
+ *  - rewrittenContents: the rewritten router-dependent sources, indexed by absolute source path
+ *  - ivsMapping: the IV mapping embedded in Router.js
+ *  - router: the result of buildRouter
+ *  - injectedPages: the pages whose recompiled copy got the Router.js <script> tag injected
+ *  - integrityPages: the pages whose recompiled copy got integrity attributes (only with options.sri)
+ *  - outputs: every generated file, indexed by absolute output path
+ *  - rekeyedFiles: the router-dependent files that got a new key (the others kept the cached one)
+ *  - warnings: the warnings logged during the build
+ *  - manifest: the build manifest (see buildManifest), free of key material
+ *  - manifestFile, keystoreFile: the absolute paths of the manifest and keystore written, or null
+ *  - writtenFiles, removedFiles: the output files actually written and removed
+ *
+ * With options.cache (the default) the keys and ciphertexts of the previous build are read from
+ * the build cache (options.cacheFile, relative to the project folder): only the files whose
+ * branch changed are re-keyed, and only the changed output files are written.
+ * With options.manifest (the default) the manifest is written to options.manifestFile and, only with
+ * options.keystore, the key material is written to options.keystoreFile (both relative to the
+ * project folder, and never copied to the output folder).
+ * With options.deterministic, the salts and IVs are derived from the project secret (see
+ * readProjectSecret) and the sources instead of being random, so that the same sources and secret
+ * always give byte-identical outputs; options.secretFile is never copied to the output folder.
+ * With options.minify, the scripts loaded by the pages (router files excluded) are minified (see
+ * minifyContents) before their hashes are computed, the other scripts being copied as they are.
+ * With options.sourceMaps, every recompiled script (router files included) gets a source map leading
+ * back to its source (see finishContents).
+ * With options.sri, the recompiled pages load the files of the project with integrity attributes
+ * (see buildPages).
+ * options.skip may list absolute paths that must not be copied to the output folder.
+ */
+async function recompile(folder, options = {}) {
+    const { skip = [], ...buildOptions } = options;
+    const resolved = resolveOptions(buildOptions);
+
+    // Warnings are both logged and listed in the manifest
+    const warnings = [];
+    const logger = resolved.logger;
+    const log = resolved.logger = {
+        ...logger,
+        warn: (...args) => {
+            warnings.push(util.format(...args));
+            logger.warn(...args);
+        }
+    };
+
+    const analysis = analyze(folder, resolved);
+    const cacheFile = path.resolve(analysis.folderPath, resolved.cacheFile);
+    const manifestFile = path.resolve(analysis.folderPath, resolved.manifestFile);
+    const keystoreFile = path.resolve(analysis.folderPath, resolved.keystoreFile);
+    const secretFile = path.resolve(analysis.folderPath, resolved.secretFile);
+    [
+        ['cacheFile', resolved.cache && cacheFile],
+        ['manifestFile', resolved.manifest && manifestFile],
+        ['keystoreFile', resolved.keystore && keystoreFile],
+        ['secretFile', resolved.deterministic && secretFile]
+    ].forEach(([name, file]) => {
+        if (file && file.startsWith(analysis.outDir + path.sep)) {
+            throw new ConfigError(`Option "${name}" cannot be inside the output folder: ${file}`);
+        }
+    });
+    const secret = resolved.deterministic ? readProjectSecret(analysis.folderPath, resolved) : null;
+
+    // The files loaded by the pages that are not router-dependent are finished before their hashes
+    // make up the keys, so that the keys protect the bytes actually shipped
+    const isRouterFile = createRouterFileMatcher(analysis.folderPath, resolved.routerFile);
+    const plainFiles = Object.keys(analysis.dependencyTree).filter(file => !isRouterFile(file) && !analysis.dependencyTree[file].routerDependant);
+    const plain = await finishContents(analysis, Object.fromEntries(plainFiles.map(file => [file, analysis.fileContents[file]])), resolved);
+    Object.assign(analysis.fileContents, plain.contents);
+
+    const previousKeys = resolved.cache ? loadBuildCache(cacheFile, log).keys : {};
+    const encryptionKeys = await computeEncryptionKeys(analysis, previousKeys, secret);
+    Object.values(encryptionKeys).forEach(key => log.debug(`Found router-dependent file: ${key.routerFile}`));
+    const rekeyedFiles = Object.values(encryptionKeys).filter(key => key.rekeyed).map(key => key.routerFile);
+
+    const rewrittenContents = await recompileRouterFiles(encryptionKeys, analysis.fileContents, log, previousKeys, {
+        targets: analysis.canonicalTargets,
+        callees: analysis.canonicalCallees
+    }, secret);
+    // The router-dependent files are finished once their calls are encrypted
+    const routerDependent = await finishContents(analysis, rewrittenContents, resolved);
+    Object.assign(rewrittenContents, routerDependent.contents);
+    const ivsMapping = buildIvsMapping(encryptionKeys);
+    const compilation = { ...analysis, encryptionKeys, rewrittenContents, ivsMapping };
+
+    const outputs = {};
+    [...Object.keys(plain.contents), ...analysis.registeredModules].forEach(file => {
+        outputs[path.join(analysis.outDir, path.relative(analysis.folderPath, file))] = analysis.fileContents[file];
+    });
+    for (const file in rewrittenContents) {
+        outputs[path.join(analysis.outDir, path.relative(analysis.folderPath, file))] = rewrittenContents[file];
+    }
+    Object.assign(outputs, plain.sourceMaps, routerDependent.sourceMaps);
+
+    // The pages are built once the scripts are final, since their integrity attributes hold the
+    // hashes of the scripts, and before Router.js, which declares the hashes of the pages
+    const skipped = [cacheFile, manifestFile, keystoreFile, secretFile, ...skip];
+    const routerFiles = getRouterFiles(analysis.folderPath, analysis.outDir, resolved);
+    const pages = buildPages({ ...compilation, scriptOutputs: outputs }, routerFiles[0].output, resolved);
+    const router = buildRouter({ ...compilation, pageOutputs: pages.outputs, assetFiles: findAssetFiles(analysis, resolved, skipped) }, resolved);
+
+    // Router.js is never minified, but the declarations prepended to it move its lines
+    const routerSources = Object.fromEntries(routerFiles.filter(({ source }) => source).map(({ source, output }) => [source, router.outputs[output]]));
+    const routers = await finishContents(analysis, routerSources, { ...resolved, minify: false });
+    for (const source in routers.contents) {
+        router.outputs[path.join(analysis.outDir, path.relative(analysis.folderPath, source))] = routers.contents[source];
+    }
+    Object.assign(outputs, router.outputs, routers.sourceMaps, pages.outputs);
+
+    const manifest = buildManifest({ ...compilation, router, outputs, injectedPages: pages.injectedPages, integrityPages: pages.integrityPages, warnings });
+
+    let written = { written: [], removed: [] };
+    const writesManifest = resolved.manifest && !resolved.dryRun;
+    const writesKeystore = resolved.keystore && !resolved.dryRun;
+    if (!resolved.dryRun) {
+        written = writeOutput(analysis.folderPath, analysis.outDir, outputs, skipped, !resolved.cache);
+        if (resolved.cache) saveBuildCache(cacheFile, encryptionKeys);
+        if (writesManifest) saveManifest(manifestFile, manifest);
+        if (writesKeystore) saveKeystore(keystoreFile, buildKeystore(encryptionKeys));
+    }
+    return {
+        ...compilation,
+        router,
+        outputs,
+        injectedPages: pages.injectedPages,
+        integrityPages: pages.integrityPages,
+        rekeyedFiles,
+        warnings,
+        manifest,
+        manifestFile: writesManifest ? manifestFile : null,
+        keystoreFile: writesKeystore ? keystoreFile : null,
+        writtenFiles: written.written,
+        removedFiles: written.removed
+    };
+}
+
+/**
+ * Verifies the output folder of the project without a browser (see verifyRecompiledFolder): the
+ * hashes of its files and every protected call are checked as Router.js would at runtime.
+ * Returns { outDir, routerFiles, checkedFiles, checkedCalls, failures } where failures lists the
+ * problems found as { location, message }; the folder is valid when there is none.
+ * Throws a BuildError when the output folder, or the router file in it, does not exist.
+ */
+async function verify(folder, options = {}) {
+    options = resolveOptions(options);
+    const { outDir } = resolveFolders(folder, options);
+    if (!fs.existsSync(outDir) || !fs.statSync(outDir).isDirectory()) {
+        throw new BuildError(`Output folder not found: ${outDir}`);
+    }
+    const fileFilter = createFileFilter(outDir, options);
+    const result = await verifyRecompiledFolder(outDir, {
+        isRouterFile: createRouterFileMatcher(outDir, options.routerFile),
+        extensions: options.extensions,
+        fileFilter,
+        logger: options.logger
+    });
+    if (result.routerFiles.length === 0) {
+        throw new BuildError(`No ${options.routerFile} found in ${outDir}`);
+    }
+    return { outDir, ...result };
+}
+
+module.exports = {
+    analyze,
+    recompile,
+    verify,
+    buildRouter,
+    watch,
+    buildDependencyGraph,
+    formatGraph,
+    computeEncryptionKeys,
+    writeOutput,
+    resolveOptions,
+    validateOptions,
+    loadConfigFile,
+    createLogger,
+    ConfigError,
+    BuildError,
+    DEFAULT_OPTIONS,
+    CONFIG_FILE_NAME,
+    LOG_LEVELS,
+    SECRET_ENV_VARIABLE,
+    GRAPH_FORMATS
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_VERSION = 1;
+
+const KEYSTORE_VERSION = 2;
+
+const KEYSTORE_WARNING = 'SECRET: encryption keys and plaintext call strings of the build. ' +
+    'Never commit, deploy or share this file, and never print it in CI logs.';
+
+/**
+ * Builds the manifest of a build, with every path relative to the project folder:
+ *  - buildId: the id Router.js sends in its tampering reports (see buildRouter);
+ *  - files: for each file loaded by the pages, its output path, the SHA-256 hash expected by Router.js,
+ *    whether it is router-dependent and, for the router-dependent ones, whether it was re-keyed and
+ *    the files whose hashes make up its key (keyInputs);
+ *  - pages and assets: for each page and asset (see buildRouter), its output path and the SHA-256
+ *    hash expected by Router.js, with the number of inline scripts checked for the pages;
+ *  - calls: the encrypted routerForwardCall sites ({ file, site, line, column, callee, ciphertext }), site
+ *    being the call site bound to the ciphertext;
+ *  - rewrittenCalls: the locations of the direct calls to protected functions rewritten into
+ *    routerForwardCall invocations;
+ *  - routerFiles, injectedPages, integrityPages (the pages that got integrity attributes, see
+ *    buildPages), unreferencedFiles, outputs (every generated file) and warnings.
+ * The manifest holds no key material nor plaintext call string (see buildKeystore).
+ *
+ * build holds { folderPath, outDir, dependencyTree, encryptionKeys, protectedCalls, unreferencedFiles,
+ * router, outputs, injectedPages, integrityPages, warnings }, as gathered by recompile.
+ */
+function buildManifest(build) {
+    const { folderPath, outDir, dependencyTree, encryptionKeys, router } = build;
+    const toRelative = file => path.relative(folderPath, file).split(path.sep).join('/');
+    const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+    const files = {};
+    for (const file in dependencyTree) {
+        const relativePath = toRelative(file);
+        const outputPath = path.join(outDir, path.relative(folderPath, file));
+        // Router files are not hashed by Router.js: their hash is the one of the generated router
+        const hash = relativePath in router.precomputedHashes
+            ? router.precomputedHashes[relativePath]
+            : sha256(router.outputs[outputPath] || '');
+        files[relativePath] = { output: toRelative(outputPath), hash, routerDependant: dependencyTree[file].routerDependant };
+        const key = encryptionKeys[relativePath];
+        if (key) {
+            files[relativePath].rekeyed = key.rekeyed;
+            files[relativePath].keyInputs = Object.keys(key.branchHashes).sort();
+        }
+    }
+
+    const toOutput = relativePath => toRelative(path.join(outDir, relativePath));
+    const pages = {};
+    for (const relativePath in router.pageHashes) {
+        const { hash, inlineScripts } = router.pageHashes[relativePath];
+        pages[relativePath] = { output: toOutput(relativePath), hash, inlineScripts: inlineScripts.length };
+    }
+    const assets = {};
+    for (const relativePath in router.assetHashes) {
+        assets[relativePath] = { output: toOutput(relativePath), hash: router.assetHashes[relativePath] };
+    }
+
+    const calls = [];
+    for (const relativePath in encryptionKeys) {
+        Object.values(encryptionKeys[relativePath].encryptedCalls).forEach(call => {
+            calls.push({ file: relativePath, site: call.site, line: call.line, column: call.column, callee: call.callee, ciphertext: call.ciphertext });
+        });
+    }
+
+    return {
+        version: MANIFEST_VERSION,
+        buildId: router.declarations.BUILD_ID,
+        outDir: toRelative(outDir),
+        routerFiles: Object.keys(router.outputs).map(toRelative),
+        files,
+        pages,
+        assets,
+        calls,
+        rewrittenCalls: build.protectedCalls.map(call => toRelative(call.location)),
+        injectedPages: build.injectedPages.map(toRelative),
+        integrityPages: (build.integrityPages || []).map(toRelative),
+        unreferencedFiles: build.unreferencedFiles.map(toRelative),
+        outputs: Object.keys(build.outputs).map(toRelative).sort(),
+        warnings: build.warnings
+    };
+}
+
+/**
+ * Builds the keystore of a build: the key material of every router-dependent file (key derivation
+ * scheme, key, salt and the hashes of its branch) and its encrypted calls with their plaintext.
+ * It is a debug artifact, only written on request, and starts with a WARNING entry.
+ */
+function buildKeystore(encryptionKeys) {
+    const keys = {};
+    for (const relativePath in encryptionKeys) {
+        const { keyDerivation, key, salt, branchHashes, encryptedCalls } = encryptionKeys[relativePath];
+        keys[relativePath] = {
+            keyDerivation,
+            key,
+            salt,
+            branchHashes,
+            encryptedCalls: Object.fromEntries(Object.entries(encryptedCalls).map(([index, call]) => [index, {
+                site: call.site,
+                line: call.line,
+                column: call.column,
+                original: call.original,
+                plaintext: call.plaintext,
+                iv: call.iv,
+                ciphertext: call.ciphertext
+            }]))
+        };
+    }
+    return { WARNING: KEYSTORE_WARNING, version: KEYSTORE_VERSION, keys };
+}
+
+/**
+ * Writes the manifest of a build.
+ */
+function saveManifest(manifestFile, manifest) {
+    fs.mkdirSync(path.dirname(manifestFile), { recursive: true });
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+/**
+ * Writes the keystore of a build, readable by its owner only.
+ */
+function saveKeystore(keystoreFile, keystore) {
+    fs.mkdirSync(path.dirname(keystoreFile), { recursive: true });
+    fs.writeFileSync(keystoreFile, JSON.stringify(keystore, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.chmodSync(keystoreFile, 0o600);
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    KEYSTORE_VERSION,
+    buildManifest,
+    buildKeystore,
+    saveManifest,
+    saveKeystore
+};
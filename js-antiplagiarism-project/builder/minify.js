@@ -0,0 +1,58 @@
+const { parseSource } = require('./analyzer');
+const { ConfigError, BuildError } = require('./options');
+
+/**
+ * Loads terser, only needed by the minified builds: unlike acorn, it does not have to be installed
+ * to recompile a project without the "minify" option.
+ */
+function loadTerser() {
+    try {
+        return require('terser');
+    } catch (err) {
+        throw new ConfigError('The "minify" option needs terser: install it with "npm install terser" in the folder containing the script');
+    }
+}
+
+/**
+ * Asynchronously minifies JavaScript contents (indexed by absolute path) with terser: comments and
+ * whitespace are stripped and the local names are shortened. The top-level names are kept, so the
+ * global functions and the module bindings routerForwardCall dispatches to keep their names, and
+ * the code is not otherwise transformed ("compress" is off): no call is removed, duplicated or
+ * moved, so the encrypted call sites of a file stay in the order the builder numbered them.
+ * inputMaps may hold, for some of the files, the source map of their content (see createSourceMap):
+ * their minified content then gets a source map leading back to the same source, without the
+ * content of the source.
+ * Returns { contents, sourceMaps }, both indexed like contents and inputMaps.
+ * Throws a BuildError when terser cannot minify a file.
+ */
+async function minifyContents(contents, inputMaps = {}) {
+    const { minify } = loadTerser();
+    const minified = {};
+    const sourceMaps = {};
+    for (const file in contents) {
+        let isModule = false;
+        try {
+            isModule = parseSource(contents[file]).sourceType === 'module';
+        } catch (err) {
+            // Left to terser, which reports the syntax error below
+        }
+        try {
+            const result = await minify(contents[file], {
+                module: isModule,
+                compress: false,
+                mangle: { toplevel: false },
+                format: { comments: false },
+                sourceMap: inputMaps[file] ? { content: inputMaps[file], filename: inputMaps[file].file, includeSources: false } : false
+            });
+            minified[file] = result.code;
+            if (inputMaps[file]) sourceMaps[file] = typeof result.map === 'string' ? JSON.parse(result.map) : result.map;
+        } catch (err) {
+            throw new BuildError(`Cannot minify ${file}: ${err.message}`);
+        }
+    }
+    return { contents: minified, sourceMaps };
+}
+
+module.exports = {
+    minifyContents
+};
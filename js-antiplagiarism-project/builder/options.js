@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE_NAME = 'antiplagiarism.config.json';
+
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+/**
+ * Environment variable holding the project secret of the deterministic builds (see readProjectSecret).
+ */
+const SECRET_ENV_VARIABLE = 'ANTIPLAGIARISM_SECRET';
+
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Default options; the config file overrides them and command-line flags override both.
+ * API callers may also pass a "logger" object (with error/warn/info/debug methods, and optionally table).
+ */
+const DEFAULT_OPTIONS = {
+    outDir: 'recompiled',
+    routerFile: 'Router.js',
+    extensions: ['.js', '.mjs'],
+    include: ['**'],
+    exclude: ['node_modules', 'vendor'],
+    protect: [],
+    pages: ['**/*.html', '**/*.htm'],
+    assets: [],
+    injectRouter: true,
+    logLevel: 'info',
+    dryRun: false,
+    cache: true,
+    cacheFile: '.antiplagiarism-cache.json',
+    manifest: true,
+    manifestFile: 'antiplagiarism-manifest.json',
+    keystore: false,
+    keystoreFile: '.antiplagiarism-keystore.json',
+    deterministic: false,
+    secretFile: '.antiplagiarism-secret',
+    minify: false,
+    sourceMaps: false,
+    sri: false,
+    watchDebounce: 300
+};
+
+/**
+ * Error caused by invalid options, configuration or command-line arguments: the CLI prints its
+ * message (without a stack trace) and exits with code 2.
+ */
+class ConfigError extends Error {}
+
+/**
+ * Error found in the project being built (e.g. an ambiguous routerForwardCall target): the CLI
+ * prints its message (without a stack trace) and exits with code 1.
+ */
+class BuildError extends Error {}
+
+/**
+ * Creates a logger writing to the console the messages at or above the given level.
+ * A different console may be given, e.g. one writing everything to stderr when stdout holds the output.
+ */
+function createLogger(level, output = console) {
+    const threshold = LOG_LEVELS.indexOf(level);
+    const enabled = name => threshold >= LOG_LEVELS.indexOf(name);
+    return {
+        error: (...args) => enabled('error') && output.error(...args),
+        warn: (...args) => enabled('warn') && output.warn(...args),
+        info: (...args) => enabled('info') && output.log(...args),
+        debug: (...args) => enabled('debug') && output.log(...args),
+        table: data => enabled('debug') && output.table(data)
+    };
+}
+
+/**
+ * Reads the JSON config file. When configPath is not given, <folderPath>/antiplagiarism.config.json
+ * is used if it exists; an explicitly given config file must exist.
+ */
+function loadConfigFile(folderPath, configPath) {
+    const file = configPath ? path.resolve(configPath) : path.resolve(folderPath, CONFIG_FILE_NAME);
+    if (!fs.existsSync(file)) {
+        if (configPath) throw new ConfigError(`Config file not found: ${file}`);
+        return { file: null, config: {} };
+    }
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new ConfigError(`Invalid config file ${file}: ${err.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ConfigError(`Invalid config file ${file}: expected a JSON object`);
+    }
+    return { file, config };
+}
+
+/**
+ * Checks the given options, throwing a ConfigError that names the offending option (and its source).
+ */
+function validateOptions(options, source) {
+    for (const key in options) {
+        if (!(key in DEFAULT_OPTIONS) && key !== 'logger') {
+            throw new ConfigError(`Unknown option "${key}" in ${source}`);
+        }
+    }
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+    ['outDir', 'routerFile', 'cacheFile', 'manifestFile', 'keystoreFile', 'secretFile'].forEach(key => {
+        if (key in options && (typeof options[key] !== 'string' || options[key].length === 0)) {
+            throw new ConfigError(`Option "${key}" in ${source} must be a non-empty string`);
+        }
+    });
+    ['extensions', 'include', 'exclude', 'protect', 'pages', 'assets'].forEach(key => {
+        if (key in options && !isStringList(options[key])) {
+            throw new ConfigError(`Option "${key}" in ${source} must be a list of non-empty strings`);
+        }
+    });
+    if ('extensions' in options) {
+        const invalid = options.extensions.find(ext => !/^\.[A-Za-z0-9]+$/.test(ext));
+        if (invalid) throw new ConfigError(`Invalid extension "${invalid}" in ${source}: expected e.g. ".js"`);
+    }
+    if ('logLevel' in options && !LOG_LEVELS.includes(options.logLevel)) {
+        throw new ConfigError(`Invalid log level "${options.logLevel}" in ${source}: expected one of ${LOG_LEVELS.join(', ')}`);
+    }
+    if ('watchDebounce' in options && !(Number.isInteger(options.watchDebounce) && options.watchDebounce >= 0)) {
+        throw new ConfigError(`Option "watchDebounce" in ${source} must be a non-negative number of milliseconds`);
+    }
+    ['dryRun', 'cache', 'injectRouter', 'manifest', 'keystore', 'deterministic', 'minify', 'sourceMaps', 'sri'].forEach(key => {
+        if (key in options && typeof options[key] !== 'boolean') {
+            throw new ConfigError(`Option "${key}" in ${source} must be a boolean`);
+        }
+    });
+    if ('logger' in options && (!options.logger || typeof options.logger.warn !== 'function')) {
+        throw new ConfigError(`Option "logger" in ${source} must be an object with error/warn/info/debug methods`);
+    }
+}
+
+/**
+ * Reads the project secret of a deterministic build: the ANTIPLAGIARISM_SECRET environment variable
+ * or, when it is not set, the content of options.secretFile (relative to the project folder).
+ * Throws a ConfigError when there is none, or when it is shorter than 16 characters.
+ */
+function readProjectSecret(folderPath, options, env = process.env) {
+    let secret = env[SECRET_ENV_VARIABLE];
+    let source = `the ${SECRET_ENV_VARIABLE} environment variable`;
+    if (!secret) {
+        const secretFile = path.resolve(folderPath, options.secretFile);
+        if (!fs.existsSync(secretFile)) {
+            throw new ConfigError(`A deterministic build needs a project secret: set ${SECRET_ENV_VARIABLE} or write it to ${secretFile}`);
+        }
+        secret = fs.readFileSync(secretFile, 'utf8').trim();
+        source = secretFile;
+    }
+    if (secret.length < MIN_SECRET_LENGTH) {
+        throw new ConfigError(`The project secret in ${source} must be at least ${MIN_SECRET_LENGTH} characters long`);
+    }
+    return secret;
+}
+
+/**
+ * Validates the options and completes them with the defaults.
+ * The returned options always hold a logger: the given one, or a console logger for logLevel.
+ */
+function resolveOptions(options = {}, source = 'options') {
+    validateOptions(options, source);
+    const resolved = { ...DEFAULT_OPTIONS, ...options };
+    if (!resolved.logger) {
+        resolved.logger = createLogger(resolved.logLevel);
+    }
+    return resolved;
+}
+
+module.exports = {
+    CONFIG_FILE_NAME,
+    LOG_LEVELS,
+    SECRET_ENV_VARIABLE,
+    DEFAULT_OPTIONS,
+    ConfigError,
+    BuildError,
+    createLogger,
+    loadConfigFile,
+    validateOptions,
+    readProjectSecret,
+    resolveOptions
+};
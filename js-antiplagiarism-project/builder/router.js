@@ -0,0 +1,177 @@
+const { hexStringToUint8Array, deriveDeterministicBytes, encodeCallEnvelope, encryptText } = require('./encryption');
+const { parseSource, getRouterForwardCalls } = require('./analyzer');
+const { BuildError } = require('./options');
+
+/**
+ * Returns the { line, column } (both starting from 1) of an offset in a content.
+ */
+function getLineAndColumn(content, offset) {
+    const before = content.slice(0, offset);
+    return { line: before.split('\n').length, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * For each router-dependent file, finds the routerForwardCall invocations in its syntax tree (see
+ * getRouterForwardCalls: whatever their form, layout or nesting), encrypts the first parameter (the
+ * call string) using the computed key, bound to the file itself (see encryptText),
+ * and returns the rewritten contents (indexed by file) with the encrypted strings replacing the original.
+ * Only the first two arguments of each call are replaced, by string literals: the rest of the call
+ * and of the file is left as it is.
+ * What gets encrypted is the canonical form of the target (canonicalForms.targets, e.g.
+ * "testdep/file4.js-funzioneDiFile4-null-null" for "file4-funzioneDiFile4-null-null"), and the
+ * second parameter is replaced by its canonical form (canonicalForms.callees, e.g. "file2.js" for
+ * "file2"), so that Router.js always receives paths relative to the project; strings without a
+ * canonical form are left as they are.
+ * Each call string is encrypted in an envelope binding it to the file and to its call site, the
+ * numeric index that indicates the order of the calls in the file (see encodeCallEnvelope).
+ * Also, saves the IV and ciphertext details (in base64), together with the call site, the callee and the line and
+ * column of the call in the source file, into the encryptionKeys object, using the same numeric index.
+ * Throws a BuildError when a file cannot be parsed, or when the target or the callee of one of its
+ * calls is not a static string, since such a call could not be encrypted.
+ *
+ * previousKeys holds the encryption keys of a previous build (from the build cache): when a file
+ * keeps the same key, the ciphertexts of its unchanged call strings at the same call site are
+ * reused instead of being encrypted again with a new IV.
+ * With the project secret of a deterministic build, the IV of each call is derived from the secret,
+ * the file, its key and the call envelope instead (see deriveDeterministicBytes), and nothing is
+ * reused from previousKeys: the same sources and secret always give the same ciphertexts.
+ */
+async function recompileRouterFiles(encryptionKeys, fileContents, log, previousKeys = {}, canonicalForms = {}, secret = null) {
+    const canonicalTargets = canonicalForms.targets || {};
+    const canonicalCallees = canonicalForms.callees || {};
+    const rewrittenContents = {};
+    for (const fileKey in encryptionKeys) {
+        const routerFile = encryptionKeys[fileKey].routerFile;
+        const originalContent = fileContents[routerFile];
+        const keyUint8 = hexStringToUint8Array(encryptionKeys[fileKey].key);
+
+        // Previous encrypted calls, grouped by call string, that can be reused with the same key
+        const reusableCalls = {};
+        const previousKey = previousKeys[fileKey];
+        if (!secret && previousKey && previousKey.key === encryptionKeys[fileKey].key) {
+            Object.values(previousKey.encryptedCalls || {}).forEach(call => {
+                (reusableCalls[call.original] = reusableCalls[call.original] || []).push(call);
+            });
+        }
+
+        let routerCalls;
+        try {
+            routerCalls = getRouterForwardCalls(parseSource(originalContent));
+        } catch (err) {
+            throw new BuildError(`Cannot parse ${routerFile}: ${err.message}`);
+        }
+
+        encryptionKeys[fileKey].encryptedCalls = {};
+        let callIndex = 1;
+        // Replacements of the first two arguments of each call, as [start, end, text]
+        const replacements = [];
+        for (const call of routerCalls) {
+            const { line, column } = getLineAndColumn(originalContent, call.node.start);
+            if (call.target === null || call.callee === null) {
+                throw new BuildError(`Cannot encrypt the routerForwardCall at ${routerFile}:${line}:${column}: ` +
+                    'its first two arguments must be string literals, or template literals without expressions');
+            }
+            const p1 = call.target; // string to encrypt
+            const p2 = canonicalCallees[call.callee] || call.callee;
+            const plaintext = canonicalTargets[p1] || p1;
+            const reusable = reusableCalls[p1] || [];
+            const reusedIndex = reusable.findIndex(previous => previous.plaintext === plaintext && previous.site === callIndex);
+            const reused = reusedIndex === -1 ? null : reusable.splice(reusedIndex, 1)[0];
+            // The call strings are not logged: they are what the encryption hides
+            if (reused) {
+                log.debug(`Reusing the encrypted call at ${fileKey}:${line}:${column}`);
+                encryptionKeys[fileKey].encryptedCalls[callIndex] = { ...reused, callee: p2, line, column };
+            } else {
+                log.debug(`Encrypting the call at ${fileKey}:${line}:${column}`);
+                const envelope = encodeCallEnvelope(plaintext, fileKey, callIndex);
+                const iv = secret ? deriveDeterministicBytes(secret, 12, 'iv', fileKey, encryptionKeys[fileKey].key, envelope) : undefined;
+                const encrypted = await encryptText(envelope, keyUint8, fileKey, iv);
+                encryptionKeys[fileKey].encryptedCalls[callIndex] = {
+                    original: p1,
+                    plaintext,
+                    site: callIndex,
+                    iv: encrypted.iv,
+                    ciphertext: encrypted.ciphertext,
+                    encryptedResult: encrypted.result,
+                    callee: p2,
+                    line,
+                    column
+                };
+            }
+            const encryptedCall = encryptionKeys[fileKey].encryptedCalls[callIndex];
+            callIndex++;
+            const [first, second] = call.node.arguments;
+            replacements.push([first.start, first.end, JSON.stringify(encryptedCall.encryptedResult)]);
+            replacements.push([second.start, second.end, JSON.stringify(p2)]);
+        }
+
+        // Applied from the end of the file, so that the offsets of the remaining ones stay valid
+        let modifiedContent = originalContent;
+        replacements.sort((a, b) => b[0] - a[0]).forEach(([start, end, text]) => {
+            modifiedContent = modifiedContent.slice(0, start) + text + modifiedContent.slice(end);
+        });
+        rewrittenContents[routerFile] = modifiedContent;
+    }
+    return rewrittenContents;
+}
+
+/**
+ * Builds an object mapping each file to an object where each key is the ciphertext (encrypted string)
+ * and its value is the corresponding IV. Also includes the "salt" property, from which Router.js
+ * derives the key of the file.
+ */
+function buildIvsMapping(encryptionKeys) {
+    const mapping = {};
+    for (const file in encryptionKeys) {
+        mapping[file] = {};
+        mapping[file]["salt"] = encryptionKeys[file].salt;
+        const calls = encryptionKeys[file].encryptedCalls;
+        if (calls && typeof calls === "object") {
+            for (const index in calls) {
+                const call = calls[index];
+                mapping[file][call.ciphertext] = call.iv;
+            }
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Updates a Router.js content with the new declarations:
+ * IVS_MAPPING_BASE64, DEPENDENCY_TREE_BASE64, PRECOMPUTED_HASHES_BASE64, PAGE_HASHES_BASE64,
+ * ASSET_HASHES_BASE64, CALL_SITES_BASE64, KEY_DERIVATION, BUILD_ID and ROUTER_PATH.
+ * Existing declarations are replaced, missing ones are prepended.
+ */
+function updateRouterContent(routerContent, declarations) {
+    for (const name in declarations) {
+        const declaration = `const ${name} = "${declarations[name]}";`;
+        const regex = new RegExp(`^const\\s+${name}\\s*=.*`, 'm');
+        if (regex.test(routerContent)) {
+            routerContent = routerContent.replace(regex, () => declaration);
+        } else {
+            routerContent = declaration + '\n' + routerContent;
+        }
+    }
+    return routerContent;
+}
+
+/**
+ * Reads the declarations written by updateRouterContent back from a Router.js content.
+ * Returns an object mapping each declared name to its (string) value.
+ */
+function readRouterDeclarations(routerContent) {
+    const declarations = {};
+    const regex = /^const\s+([A-Z0-9_]+)\s*=\s*"([^"]*)";/gm;
+    let match;
+    while ((match = regex.exec(routerContent)) !== null) {
+        declarations[match[1]] = match[2];
+    }
+    return declarations;
+}
+
+module.exports = {
+    recompileRouterFiles,
+    buildIvsMapping,
+    updateRouterContent,
+    readRouterDeclarations
+};
@@ -0,0 +1,131 @@
+const { parseSource } = require('./analyzer');
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encodes a number as a base64 VLQ, the encoding of the fields of the source map segments.
+ */
+function encodeVlq(value) {
+    let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+    let encoded = '';
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) digit |= 32;
+        encoded += BASE64_DIGITS[digit];
+    } while (vlq > 0);
+    return encoded;
+}
+
+/**
+ * Finds the longest common subsequence of two lists of strings (Myers' diff algorithm), which is
+ * quick when the lists only differ in a few places.
+ * Returns the [i, j] pairs of indexes such that a[i] and b[j] are matched, in increasing order.
+ */
+function diffSequences(a, b) {
+    const max = a.length + b.length;
+    const v = new Int32Array(2 * max + 2);
+    // trace[d] holds the furthest x of the diagonals -d..d before step d
+    const trace = [];
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice(max - d, max + d + 1));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[max + k - 1] < v[max + k + 1]) ? v[max + k + 1] : v[max + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[max + k] = x;
+            if (x >= a.length && y >= b.length) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    const matches = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const previous = k => trace[d][k + d];
+        const k = x - y;
+        const previousK = d === 0 ? 0 : k === -d || (k !== d && previous(k - 1) < previous(k + 1)) ? k + 1 : k - 1;
+        const previousX = d === 0 ? 0 : previous(previousK);
+        const previousY = previousX - previousK;
+        while (x > previousX && y > previousY) {
+            matches.push([--x, --y]);
+        }
+        x = previousX;
+        y = previousY;
+    }
+    return matches.reverse();
+}
+
+/**
+ * Creates a standard (version 3) source map from a source to the file the builder generated from
+ * it, by matching their tokens: the unchanged tokens map to themselves, and the tokens replaced by
+ * the builder (e.g. an encrypted call string, or a call to a protected function rewritten as a
+ * routerForwardCall) map to the tokens they replaced. The tokens the builder added without replacing
+ * anything (e.g. the export registration of the ES modules) are left unmapped.
+ * options holds { file, source }: the name of the generated file and the path of the source,
+ * relative to the source map. The source map holds neither the content of the source nor any name,
+ * so it exposes nothing the generated file hides, such as the plaintext call strings.
+ * Throws the parser error when either content is not valid JavaScript.
+ */
+function createSourceMap(originalContent, generatedContent, options) {
+    const getTokens = content => parseSource(content, undefined, true).tokens.filter(token => token.type.label !== 'eof');
+    const originalTokens = getTokens(originalContent);
+    const generatedTokens = getTokens(generatedContent);
+    const matches = diffSequences(
+        originalTokens.map(token => originalContent.slice(token.start, token.end)),
+        generatedTokens.map(token => generatedContent.slice(token.start, token.end)));
+
+    // Index of the original token each generated token comes from
+    const origins = new Array(generatedTokens.length).fill(null);
+    let [lastI, lastJ] = [-1, -1];
+    for (const [i, j] of [...matches, [originalTokens.length, generatedTokens.length]]) {
+        if (i - lastI > 1) {
+            for (let g = lastJ + 1; g < j; g++) origins[g] = Math.min(lastI + g - lastJ, i - 1);
+        }
+        if (j < generatedTokens.length) origins[j] = i;
+        [lastI, lastJ] = [i, j];
+    }
+
+    const lines = [];
+    generatedTokens.forEach((token, j) => {
+        if (origins[j] === null) return;
+        const origin = originalTokens[origins[j]].loc.start;
+        const line = token.loc.start.line - 1;
+        (lines[line] = lines[line] || []).push([token.loc.start.column, origin.line - 1, origin.column]);
+    });
+
+    // Segments of [generated column, source index, source line, source column], each field relative
+    // to the previous segment (the generated column only within a line)
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    const mappings = Array.from(lines, (segments = []) => {
+        let generatedColumn = 0;
+        return segments.map(([column, line, originColumn]) => {
+            const segment = encodeVlq(column - generatedColumn) + encodeVlq(0) +
+                encodeVlq(line - sourceLine) + encodeVlq(originColumn - sourceColumn);
+            [generatedColumn, sourceLine, sourceColumn] = [column, line, originColumn];
+            return segment;
+        }).join(',');
+    });
+    return { version: 3, file: options.file, sources: [options.source], names: [], mappings: mappings.join(';') };
+}
+
+/**
+ * Appends to a generated file the comment referencing its source map, with the file's line endings.
+ */
+function appendSourceMappingUrl(content, sourceMapUrl) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    return content + (content === '' || content.endsWith('\n') ? '' : eol) + `//# sourceMappingURL=${encodeURI(sourceMapUrl)}` + eol;
+}
+
+module.exports = {
+    createSourceMap,
+    appendSourceMappingUrl
+};
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseSource, getRouterForwardCalls, getGlobalFunctions, getModuleExports } = require('./analyzer');
+const { KEY_DERIVATIONS, hexStringToUint8Array, deriveKey, decryptText, decodeCallEnvelope } = require('./encryption');
+const { readRouterDeclarations } = require('./router');
+const { getJsFiles } = require('./files');
+const { getInlineScripts } = require('./html');
+
+/**
+ * Decodes a base64 JSON declaration of Router.js; returns null when it is missing or invalid.
+ */
+function decodeDeclaration(value) {
+    if (value === undefined) return null;
+    try {
+        return JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Collects the non router-dependent files of the branch of fileKey, as routerForwardCall does.
+ */
+function collectBranchFiles(dependencyTree, fileKey) {
+    const branchFiles = [];
+    const visited = new Set();
+    (function collectDeps(node) {
+        for (const dep in node.dependencies) {
+            if (!node.dependencies[dep].routerDependant && !visited.has(dep)) {
+                branchFiles.push(dep);
+                visited.add(dep);
+            }
+            collectDeps(node.dependencies[dep]);
+        }
+    })(dependencyTree[fileKey]);
+    return branchFiles;
+}
+
+/**
+ * Splits a decrypted call string into the target file and the "-" separated parts that follow it,
+ * as parseAndCall does: the target is the longest file of the dependency tree prefixing the string.
+ * Returns { fileIdentifier, parts } where parts[0] is the file and parts[1] the function name.
+ */
+function splitCallString(callString, dependencyTree) {
+    let fileIdentifier = callString.split('-')[0];
+    for (const file in dependencyTree) {
+        if (callString.startsWith(file + '-') && file.length > fileIdentifier.length) {
+            fileIdentifier = file;
+        }
+    }
+    return { fileIdentifier, parts: [fileIdentifier].concat(callString.slice(fileIdentifier.length + 1).split('-')) };
+}
+
+/**
+ * Verifies a recompiled folder without a browser, replaying what Router.js does at runtime for
+ * every router file found in it:
+ *  - the SHA-256 hash of every file listed in PRECOMPUTED_HASHES_BASE64, PAGE_HASHES_BASE64 and
+ *    ASSET_HASHES_BASE64 is recomputed from the folder, and so are the hashes of the inline scripts of
+ *    the pages that differ from the expected ones;
+ *  - for every routerForwardCall site of the recompiled scripts (and every ciphertext of
+ *    IVS_MAPPING_BASE64 no call site uses), the key of the callee is derived from the hashes of its
+ *    dependency branch and its salt, with the KEY_DERIVATION scheme of the build, the ciphertext is
+ *    authenticated and decrypted with its IV (see decryptText: a tampered or outdated ciphertext is
+ *    reported as such), it must be bound to the file and the call site where it is found (see
+ *    encodeCallEnvelope), and the decrypted target must name a function declared (or exported, for
+ *    ES modules) by the target file; the call sites must also be at the positions CALL_SITES_BASE64
+ *    declares, from which Router.js tells the call site invoking it.
+ * The call strings are never reported, since they are what the encryption hides.
+ *
+ * options holds { isRouterFile, extensions, fileFilter, logger } where isRouterFile and fileFilter
+ * take absolute paths inside outDir.
+ * Returns { routerFiles, checkedFiles, checkedCalls, failures } where failures lists the problems
+ * found as { location, message }, location being "file:line:column" for the call sites.
+ */
+async function verifyRecompiledFolder(outDir, options) {
+    const { isRouterFile, extensions, fileFilter, logger: log } = options;
+    const toRelative = (root, file) => path.relative(root, file).split(path.sep).join('/');
+    const failures = [];
+    const fail = (location, message) => failures.push({ location, message });
+
+    const jsFiles = getJsFiles(outDir, extensions).filter(fileFilter);
+    const routerFiles = jsFiles.filter(isRouterFile);
+    let checkedFiles = 0;
+    let checkedCalls = 0;
+
+    for (const routerFile of routerFiles) {
+        const routerLocation = toRelative(outDir, routerFile);
+        const declarations = readRouterDeclarations(fs.readFileSync(routerFile, 'utf8'));
+        const decoded = {};
+        ['IVS_MAPPING_BASE64', 'DEPENDENCY_TREE_BASE64', 'PRECOMPUTED_HASHES_BASE64'].forEach(name => {
+            decoded[name] = decodeDeclaration(declarations[name]);
+        });
+        const missing = Object.keys(decoded).filter(name => !decoded[name] || typeof decoded[name] !== 'object');
+        if (missing.length > 0) {
+            fail(routerLocation, `missing or invalid ${missing.join(', ')}: was the folder built by RouterCallsCreator?`);
+            continue;
+        }
+        const { IVS_MAPPING_BASE64: ivsMapping, DEPENDENCY_TREE_BASE64: dependencyTree, PRECOMPUTED_HASHES_BASE64: precomputedHashes } = decoded;
+
+        // The builds without KEY_DERIVATION derive the keys with a mask instead of a salt
+        const keyDerivation = declarations.KEY_DERIVATION || 'xor';
+        if (!KEY_DERIVATIONS.includes(keyDerivation)) {
+            fail(routerLocation, `unsupported KEY_DERIVATION "${keyDerivation}": expected one of ${KEY_DERIVATIONS.join(', ')}`);
+            continue;
+        }
+        const secretName = keyDerivation === 'xor' ? 'mask' : 'salt';
+
+        // The maps are keyed by paths relative to the root of the application, where Router.js is at ROUTER_PATH
+        const routerPath = declarations.ROUTER_PATH || routerLocation;
+        let root = outDir;
+        if (routerLocation.endsWith('/' + routerPath)) {
+            root = path.join(outDir, routerLocation.slice(0, routerLocation.length - routerPath.length));
+        } else if (routerLocation !== routerPath) {
+            fail(routerLocation, `ROUTER_PATH is "${routerPath}", which is not the path of the router file`);
+        }
+
+        // Hashes as the extension computes them from the files the browser loads
+        const actualHashes = {};
+        const getLoadedHash = relativePath => {
+            if (!(relativePath in actualHashes)) {
+                const file = path.join(root, relativePath);
+                actualHashes[relativePath] = fs.existsSync(file)
+                    ? crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex')
+                    : undefined;
+            }
+            return actualHashes[relativePath];
+        };
+
+        const checkHash = (relativePath, expectedHash, declaration) => {
+            checkedFiles++;
+            const actualHash = getLoadedHash(relativePath);
+            if (actualHash === undefined) {
+                fail(relativePath, `listed in ${declaration}, but missing from the folder`);
+                return false;
+            } else if (actualHash !== expectedHash) {
+                fail(relativePath, `hash ${actualHash} differs from the one expected by Router.js (${expectedHash})`);
+                return false;
+            }
+            return true;
+        };
+        for (const relativePath in precomputedHashes) {
+            checkHash(relativePath, precomputedHashes[relativePath], 'PRECOMPUTED_HASHES_BASE64');
+        }
+
+        // The pages, with their inline scripts, and the assets (not declared by the older builds)
+        const pageHashes = decodeDeclaration(declarations.PAGE_HASHES_BASE64) || {};
+        for (const relativePath in pageHashes) {
+            const expected = pageHashes[relativePath];
+            if (checkHash(relativePath, expected.hash, 'PAGE_HASHES_BASE64')) continue;
+            const file = path.join(root, relativePath);
+            if (!fs.existsSync(file)) continue;
+            const inlineHashes = getInlineScripts(fs.readFileSync(file, 'utf8'))
+                .map(code => crypto.createHash('sha256').update(code).digest('hex'));
+            if (inlineHashes.length !== expected.inlineScripts.length) {
+                fail(relativePath, `has ${inlineHashes.length} inline scripts, where Router.js expects ${expected.inlineScripts.length}`);
+            } else {
+                inlineHashes.forEach((hash, i) => {
+                    if (hash !== expected.inlineScripts[i]) fail(relativePath, `inline script #${i + 1} differs from the one expected by Router.js`);
+                });
+            }
+        }
+        const assetHashes = decodeDeclaration(declarations.ASSET_HASHES_BASE64) || {};
+        for (const relativePath in assetHashes) {
+            checkHash(relativePath, assetHashes[relativePath], 'ASSET_HASHES_BASE64');
+        }
+
+        // Functions each target file makes available to routerForwardCall
+        const declaredFunctions = {};
+        const getDeclaredFunctions = relativePath => {
+            if (!(relativePath in declaredFunctions)) {
+                const file = path.join(root, relativePath);
+                let names = null;
+                if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+                    try {
+                        const ast = parseSource(fs.readFileSync(file, 'utf8'));
+                        names = getGlobalFunctions(ast);
+                        if (ast.sourceType === 'module') Object.keys(getModuleExports(ast).names).forEach(name => names.add(name));
+                    } catch (err) {
+                        names = new Set();
+                    }
+                }
+                declaredFunctions[relativePath] = names;
+            }
+            return declaredFunctions[relativePath];
+        };
+
+        // callSite is the { file, site } of the call site, null for the ciphertexts no call site uses
+        const checkCall = async (location, ciphertext, callee, hasArgs, callSite) => {
+            checkedCalls++;
+            let fileKey = callee;
+            if (!fileKey.endsWith('.js') && !fileKey.endsWith('.mjs')) {
+                fileKey += (fileKey + '.mjs') in ivsMapping ? '.mjs' : '.js';
+            }
+            const mappingForFile = ivsMapping[fileKey];
+            if (!mappingForFile || !mappingForFile[secretName]) {
+                return fail(location, `no IV mapping nor ${secretName} for the callee "${callee}"`);
+            }
+            if (ciphertext === secretName || !(ciphertext in mappingForFile)) {
+                return fail(location, `the call string is not in the IV mapping of ${fileKey}: it was not encrypted for this callee`);
+            }
+            if (!dependencyTree[fileKey]) {
+                return fail(location, `${fileKey} is not in the dependency tree`);
+            }
+            const branchFiles = collectBranchFiles(dependencyTree, fileKey);
+            if (branchFiles.length === 0) {
+                return fail(location, `no dependency branch found for ${fileKey}`);
+            }
+            const branchHashes = {};
+            branchFiles.forEach(file => {
+                const hashHex = getLoadedHash(file);
+                if (hashHex) branchHashes[file] = hashHex;
+            });
+            const key = await deriveKey(keyDerivation, branchHashes, hexStringToUint8Array(mappingForFile[secretName]), fileKey);
+
+            let envelope;
+            try {
+                envelope = decodeCallEnvelope(await decryptText(ciphertext, mappingForFile[ciphertext], key, fileKey));
+            } catch (err) {
+                const changed = branchFiles.filter(file => getLoadedHash(file) !== precomputedHashes[file]);
+                return fail(location, `does not decrypt with the key of ${fileKey}: ${err.message}` +
+                    (changed.length ? ` (changed files in its branch: ${changed.join(', ')})` : ''));
+            }
+
+            if (envelope.caller !== fileKey) {
+                return fail(location, `is bound to a call made by ${envelope.caller}, not by the callee ${fileKey}`);
+            }
+            if (callSite && callSite.file !== envelope.caller) {
+                return fail(location, `is bound to a call made by ${envelope.caller}: it was copied from another file`);
+            }
+            if (callSite && callSite.site !== envelope.site) {
+                return fail(location, `is bound to call site #${envelope.site} of ${envelope.caller}, not to this one (#${callSite.site})`);
+            }
+
+            const { fileIdentifier, parts } = splitCallString(envelope.call, dependencyTree);
+            if (!hasArgs && parts.length !== 4) {
+                return fail(location, 'decrypts to a call string without the "file-function-types-values" format expected for a call without arguments');
+            }
+            const names = getDeclaredFunctions(fileIdentifier);
+            if (!names) {
+                return fail(location, `decrypts to a call to ${fileIdentifier}, which is not in the folder`);
+            }
+            if (!names.has(parts[1])) {
+                log.debug(`${location}: ${parts[1]} is not declared in ${fileIdentifier}`);
+                return fail(location, `decrypts to a function that ${fileIdentifier} does not declare`);
+            }
+        };
+
+        // Every call site of the recompiled scripts of this application; the call sites are numbered
+        // in each file as the builder does, counting the calls it encrypted
+        const ciphertexts = new Set();
+        Object.values(ivsMapping).forEach(mapping => Object.keys(mapping).forEach(name => {
+            if (name !== secretName) ciphertexts.add(name);
+        }));
+        const calledCiphertexts = new Set();
+        // Where Router.js looks for the call sites invoking it (not declared by the older builds)
+        const callSites = decodeDeclaration(declarations.CALL_SITES_BASE64);
+        for (const file of jsFiles) {
+            if (isRouterFile(file) || !file.startsWith(root + path.sep)) continue;
+            const fileLocation = toRelative(root, file);
+            let routerCalls;
+            try {
+                routerCalls = getRouterForwardCalls(parseSource(fs.readFileSync(file, 'utf8')));
+            } catch (err) {
+                fail(fileLocation, `cannot be parsed: ${err.message}`);
+                continue;
+            }
+            if (callSites && (routerCalls.length > 0 || fileLocation in callSites)) {
+                const positions = routerCalls.map(({ node }) => [node.loc.start.line, node.loc.start.column + 1, node.loc.end.line, node.loc.end.column + 1]);
+                if (JSON.stringify(positions) !== JSON.stringify(callSites[fileLocation] || [])) {
+                    fail(fileLocation, 'its routerForwardCall sites are not where CALL_SITES_BASE64 declares them: Router.js would refuse its calls');
+                }
+            }
+            let site = 0;
+            for (const call of routerCalls) {
+                const location = `${fileLocation}:${call.node.loc.start.line}:${call.node.loc.start.column + 1}`;
+                if (call.target === null || call.callee === null) {
+                    checkedCalls++;
+                    fail(location, 'the call string and the callee must be string literals');
+                    continue;
+                }
+                calledCiphertexts.add(call.target);
+                if (ciphertexts.has(call.target)) site++;
+                await checkCall(location, call.target, call.callee, call.node.arguments.length > 2, { file: fileLocation, site });
+            }
+        }
+
+        // The ciphertexts of the mapping no call site uses
+        for (const fileKey in ivsMapping) {
+            for (const ciphertext in ivsMapping[fileKey]) {
+                if (ciphertext === secretName || calledCiphertexts.has(ciphertext)) continue;
+                await checkCall(`${routerLocation}: IVS_MAPPING_BASE64["${fileKey}"]`, ciphertext, fileKey, true, null);
+            }
+        }
+    }
+
+    return { routerFiles: routerFiles.map(file => toRelative(outDir, file)), checkedFiles, checkedCalls, failures };
+}
+
+module.exports = {
+    verifyRecompiledFolder
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveOptions } = require('./options');
+
+/**
+ * Watches the project folder and recompiles it after every change.
+ * Changes inside the output folder, to the build cache, manifest, keystore and project secret and
+ * to the skipped paths are ignored.
+ * Where fs.watch cannot watch a folder recursively (Linux before Node 20), every folder is watched
+ * on its own, and the folders created later are watched as they appear.
+ * A burst of changes within options.watchDebounce milliseconds triggers a single rebuild, and
+ * changes made while a rebuild is running trigger another one when it completes.
+ * Thanks to the build cache, every rebuild only re-keys the branches affected by the changes.
+ *
+ * onBuild(err, result, changedFiles) is called after every rebuild, with the result of recompile
+ * (or the error that stopped it) and the absolute paths of the changed files.
+ * Returns a watcher with a close() method.
+ */
+function watch(folder, options, onBuild) {
+    // Required here rather than at the top: index.js requires this module
+    const { recompile } = require('./index');
+    const { skip = [], ...buildOptions } = options;
+    const resolved = resolveOptions(buildOptions);
+    const folderPath = path.resolve(folder);
+    const ignored = [
+        path.resolve(folderPath, resolved.outDir),
+        path.resolve(folderPath, resolved.cacheFile),
+        path.resolve(folderPath, resolved.manifestFile),
+        path.resolve(folderPath, resolved.keystoreFile),
+        path.resolve(folderPath, resolved.secretFile),
+        ...skip
+    ];
+
+    const changedFiles = new Set();
+    let timer = null;
+    let building = false;
+    let pending = false;
+
+    const rebuild = async () => {
+        if (building) {
+            pending = true;
+            return;
+        }
+        building = true;
+        const changed = [...changedFiles];
+        changedFiles.clear();
+        try {
+            const result = await recompile(folderPath, options);
+            onBuild(null, result, changed);
+        } catch (err) {
+            onBuild(err, null, changed);
+        }
+        building = false;
+        if (pending) {
+            pending = false;
+            schedule();
+        }
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(rebuild, resolved.watchDebounce);
+    };
+
+    const isIgnored = file => ignored.some(p => file === p || file.startsWith(p + path.sep));
+    const onChange = directory => (event, filename) => {
+        if (filename) {
+            const file = path.resolve(directory, filename.toString());
+            if (isIgnored(file)) return;
+            if (!recursive) {
+                if (fs.existsSync(file)) watchTree(file);
+                else unwatchTree(file);
+            }
+            changedFiles.add(file);
+        }
+        schedule();
+    };
+
+    const watchers = new Map();
+    let recursive = true;
+    // Watches directory and the folders inside it, when they are not watched yet
+    const watchTree = directory => {
+        if (watchers.has(directory) || isIgnored(directory)) return;
+        let entries;
+        try {
+            entries = fs.readdirSync(directory, { withFileTypes: true });
+            watchers.set(directory, fs.watch(directory, onChange(directory)));
+        } catch (err) {
+            // Not a folder, or removed in the meantime
+            if (directory === folderPath) throw err;
+            return;
+        }
+        entries.filter(entry => entry.isDirectory()).forEach(entry => watchTree(path.join(directory, entry.name)));
+    };
+    // Stops watching a removed folder and the folders that were inside it
+    const unwatchTree = directory => {
+        watchers.forEach((watcher, watched) => {
+            if (watched === directory || watched.startsWith(directory + path.sep)) {
+                watcher.close();
+                watchers.delete(watched);
+            }
+        });
+    };
+
+    try {
+        watchers.set(folderPath, fs.watch(folderPath, { recursive: true }, onChange(folderPath)));
+    } catch (err) {
+        if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw err;
+        recursive = false;
+        watchTree(folderPath);
+    }
+
+    return {
+        close() {
+            clearTimeout(timer);
+            watchers.forEach(watcher => watcher.close());
+        }
+    };
+}
+
+module.exports = {
+    watch
+};
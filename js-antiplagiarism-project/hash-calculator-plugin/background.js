@@ -1,12 +1,34 @@
+// Tipi di richiesta di cui calcolare l'hash: le pagine, gli script e le risorse che caricano
+// (fogli di stile, immagini, font...). Le richieste fatte dagli script (fetch, XMLHttpRequest) no.
+const HASHED_TYPES = ["main_frame", "sub_frame", "script", "stylesheet", "image", "font", "media", "object", "other"];
+
+// Hash calcolati per ogni scheda, indicizzati per URL: vengono inviati tutti alla pagina a ogni nuovo
+// hash, così che la pagina riceva anche quelli calcolati prima che potesse ascoltarli (come quello
+// della pagina stessa)
+const tabHashes = {};
+
+// Ogni nuova pagina di una scheda ricomincia da zero
+chrome.webRequest.onBeforeRequest.addListener(
+    (details) => {
+        if (details.type === "main_frame") tabHashes[details.tabId] = {};
+    },
+    { urls: ["<all_urls>"] }
+);
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    delete tabHashes[tabId];
+});
+
 chrome.webRequest.onCompleted.addListener(
     async (details) => {
-        if (!details.url.endsWith(".js")) return;
+        if (!HASHED_TYPES.includes(details.type) || details.tabId < 0) return;
 
         try {
 			if(details.url.includes("recompiled")){
+				// L'hash è calcolato sui byte ricevuti, non sul testo decodificato, così vale anche per
+				// le immagini e gli altri file binari
 				const response = await fetch(details.url);
-				const text = await response.text();
-				const hash = await computeSHA256(text);
+				const hash = await computeSHA256(await response.arrayBuffer());
 
 				console.log(`[DEBUG] Hash calcolato per ${details.url}: ${hash}`);
 
@@ -20,16 +42,17 @@ chrome.webRequest.onCompleted.addListener(
 					});
 				});
 
-				// Invia il messaggio alla pagina
-				chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-					if (tabs.length === 0) return;
-					chrome.scripting.executeScript({
-						target: { tabId: tabs[0].id },
-						func: (url, hash) => {
+				// Invia alla pagina della scheda che ha fatto la richiesta tutti gli hash calcolati per essa
+				const hashes = tabHashes[details.tabId] = tabHashes[details.tabId] || {};
+				hashes[details.url] = hash;
+				chrome.scripting.executeScript({
+					target: { tabId: details.tabId },
+					func: (entries) => {
+						entries.forEach(([url, hash]) => {
 							window.postMessage({ action: "hashSaved", url: url, hash: hash }, "*");
-						},
-						args: [details.url, hash]
-					});
+						});
+					},
+					args: [Object.entries(hashes)]
 				});
 			}
         } catch (error) {
@@ -40,9 +63,7 @@ chrome.webRequest.onCompleted.addListener(
     { urls: ["<all_urls>"] }
 );
 
-async function computeSHA256(content) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(content);
+async function computeSHA256(data) {
     const hashBuffer = await crypto.subtle.digest("SHA-256", data);
     const hashArray = Array.from(new Uint8Array(hashBuffer));
     return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
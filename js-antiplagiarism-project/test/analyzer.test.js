@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { analyzeDependencies, parseSource, getRouterForwardReferences } = require('../builder/analyzer');
+const { createLogger, BuildError } = require('../builder/options');
+const { createTempFolder, writeFiles, runCli, readRouterDeclaration } = require('./helpers');
+
+/**
+ * Creates and recompiles a project where app.js calls helper of lib.js through routerForwardCall,
+ * other.js calls it directly and quiet.js only mentions it in comments and strings.
+ * Returns { project, tree } where tree is the dependency tree declared in the recompiled Router.js.
+ */
+function buildProject(t) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'const helper = (x) => x * 2;\nclass Shape {\n    area() { return 1; }\n}\n',
+        'app.js': 'function start() {\n    window["routerForwardCall"]("lib-helper-null-null", "app");\n}\n',
+        'other.js': 'function other() {\n    return helper(1) + new Shape().area();\n}\n',
+        'quiet.js': '// helper() is not called here\nfunction quiet() {\n    return "helper(1)";\n}\n'
+    });
+    const { status, stderr } = runCli([project]);
+    assert.strictEqual(status, 0, stderr);
+    const tree = readRouterDeclaration(path.join(project, 'recompiled', 'router', 'Router.js'), 'DEPENDENCY_TREE_BASE64');
+    return { project, tree };
+}
+
+test('calls to arrow functions and class methods declared in other files are dependencies', t => {
+    const { tree } = buildProject(t);
+    assert.deepStrictEqual(Object.keys(tree['other.js'].dependencies), ['lib.js']);
+    assert.strictEqual(tree['other.js'].routerDependant, false);
+});
+
+test('names found in comments and strings are not calls', t => {
+    const { tree } = buildProject(t);
+    assert.deepStrictEqual(tree['quiet.js'].dependencies, {});
+});
+
+test('routerForwardCall calls make their file router-dependent and are encrypted', t => {
+    const { project, tree } = buildProject(t);
+    const app = tree['app.js'];
+    assert.strictEqual(app.routerDependant, true);
+    assert.deepStrictEqual(Object.keys(app.dependencies), ['lib.js']);
+
+    const output = fs.readFileSync(path.join(project, 'recompiled', 'app.js'), 'utf8');
+    assert.ok(!output.includes('lib-helper-null-null'));
+    assert.match(output, /window\["routerForwardCall"\]\("[A-Za-z0-9+/=]+", "app\.js"\)/);
+});
+
+test('files that cannot be parsed fail the build, which names them all and writes nothing', t => {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'function helper() {}\n',
+        'broken1.js': 'function broken( { window["routerForwardCall"]("lib-helper-null-null", "broken1");\n',
+        'broken2.js': '}\n'
+    });
+    const { status, stderr } = runCli([project]);
+    assert.strictEqual(status, 1, stderr);
+    assert.match(stderr, /Cannot parse .*broken1\.js/);
+    assert.match(stderr, /Cannot parse .*broken2\.js/);
+    assert.ok(!fs.existsSync(path.join(project, 'recompiled')));
+});
+
+test('a file that cannot be read fails the analysis, naming it', t => {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, { 'lib.js': 'function helper() {}\n', 'app.js': 'function start() {}\n' });
+    const readFile = fs.readFileSync;
+    t.mock.method(fs, 'readFileSync', (file, ...args) => {
+        if (String(file).endsWith('lib.js')) throw new Error('EACCES: permission denied');
+        return readFile(file, ...args);
+    });
+    assert.throws(() => analyzeDependencies(project, { logger: createLogger('silent') }), err => {
+        assert.ok(err instanceof BuildError);
+        assert.match(err.message, /Cannot read .*lib\.js: EACCES/);
+        return true;
+    });
+});
+
+test('a routerForwardCall that is not called directly fails the build with its location', t => {
+    const forms = [
+        'window.routerForwardCall.call(null, "lib-helper-null-null", "app");',
+        'const rfc = window["routerForwardCall"];\n    rfc("lib-helper-null-null", "app");',
+        'routerForwardCall.apply(null, ["lib-helper-null-null", "app"]);',
+        '["lib-helper-null-null"].forEach(routerForwardCall);',
+        'const { routerForwardCall: forward } = window;\n    forward("lib-helper-null-null", "app");'
+    ];
+    for (const form of forms) {
+        const project = path.join(createTempFolder(t), 'project');
+        writeFiles(project, {
+            'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+            'lib.js': 'function helper() {}\n',
+            'app.js': `function start() {\n    ${form}\n}\n`
+        });
+        const { status, stderr } = runCli([project]);
+        assert.strictEqual(status, 1, form);
+        assert.match(stderr, /routerForwardCall used without being called directly/, form);
+        assert.match(stderr, /app\.js:2:\d+/, form);
+        assert.ok(!fs.existsSync(path.join(project, 'recompiled')), form);
+    }
+});
+
+test('the direct calls and typeof checks of routerForwardCall are not references', t => {
+    const ast = parseSource('if (typeof window.routerForwardCall === "function" && typeof routerForwardCall === "function") {\n' +
+        '    routerForwardCall("a-b", "c");\n    window.routerForwardCall("a-b", "c");\n}\nwindow.routerForwardCall = function () {};\n' +
+        'const rfc = window.routerForwardCall;\n');
+    assert.deepStrictEqual(getRouterForwardReferences(ast).map(node => node.loc.start.line), [6]);
+});
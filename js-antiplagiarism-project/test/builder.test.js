@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { analyze, recompile, buildRouter, ConfigError } = require('../builder');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+/**
+ * Creates a project where app.js calls helper of lib.js through routerForwardCall.
+ * Returns the project folder.
+ */
+function createProject(t) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'function helper() {}\n',
+        'app.js': 'function start() {\n    window["routerForwardCall"]("lib-helper-null-null", "app");\n}\n'
+    });
+    return project;
+}
+
+test('analyze returns the dependency tree without writing anything', t => {
+    const project = createProject(t);
+    const analysis = analyze(project, { logLevel: 'silent' });
+    assert.strictEqual(analysis.folderPath, project);
+    assert.strictEqual(analysis.outDir, path.join(project, 'recompiled'));
+    assert.strictEqual(analysis.dependencyTree[path.join(project, 'app.js')].routerDependant, true);
+    assert.ok(!fs.existsSync(analysis.outDir));
+});
+
+test('a dry run returns the outputs of the build without writing them', async t => {
+    const project = createProject(t);
+    const result = await recompile(project, { logLevel: 'silent', dryRun: true });
+    assert.deepStrictEqual(Object.keys(result.outputs).sort(), [
+        path.join(project, 'recompiled', 'app.js'),
+        path.join(project, 'recompiled', 'router', 'Router.js')
+    ]);
+    assert.ok(!result.outputs[path.join(project, 'recompiled', 'app.js')].includes('lib-helper-null-null'));
+    assert.deepStrictEqual(Object.keys(result.encryptionKeys), ['app.js']);
+    assert.ok(!fs.existsSync(path.join(project, 'recompiled')));
+
+    // The same declarations are rebuilt from the compilation
+    const router = buildRouter(result, { logLevel: 'silent' });
+    assert.deepStrictEqual(router.declarations, result.router.declarations);
+});
+
+test('a recompiled project is written to its output folder', async t => {
+    const project = createProject(t);
+    const result = await recompile(project, { logLevel: 'silent', outDir: 'dist' });
+    for (const outputPath in result.outputs) {
+        assert.strictEqual(fs.readFileSync(outputPath, 'utf8'), result.outputs[outputPath]);
+    }
+    assert.strictEqual(fs.readFileSync(path.join(project, 'dist', 'lib.js'), 'utf8'), 'function helper() {}\n');
+});
+
+test('invalid options throw a ConfigError', t => {
+    const project = createProject(t);
+    assert.throws(() => analyze(project, { logLevel: 'loud' }), ConfigError);
+    assert.throws(() => analyze(project, { unknown: true }), ConfigError);
+    assert.throws(() => analyze(path.join(project, 'missing')), ConfigError);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile, ConfigError } = require('../builder');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+const QUIET = { logLevel: 'silent' };
+
+/**
+ * Creates a project with two independent branches: a.js calls libA.js and b.js calls libB.js,
+ * both through routerForwardCall. Returns the project folder.
+ */
+function createProject(t) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'libA.js': 'function helperA() {}\n',
+        'libB.js': 'function helperB() {}\n',
+        'a.js': 'function startA() {\n    window["routerForwardCall"]("libA-helperA-null-null", "a");\n}\n',
+        'b.js': 'function startB() {\n    window["routerForwardCall"]("libB-helperB-null-null", "b");\n}\n',
+        'notes.txt': 'notes\n'
+    });
+    return project;
+}
+
+test('an unchanged rebuild re-keys nothing and writes nothing', async t => {
+    const project = createProject(t);
+    const first = await recompile(project, QUIET);
+    assert.deepStrictEqual(first.rekeyedFiles.sort(), [path.join(project, 'a.js'), path.join(project, 'b.js')]);
+
+    const second = await recompile(project, QUIET);
+    assert.deepStrictEqual(second.rekeyedFiles, []);
+    assert.deepStrictEqual(second.writtenFiles, []);
+    assert.deepStrictEqual(second.removedFiles, []);
+    assert.deepStrictEqual(second.ivsMapping, first.ivsMapping);
+});
+
+test('a changed file re-keys only the files of its branch', async t => {
+    const project = createProject(t);
+    const first = await recompile(project, QUIET);
+    fs.appendFileSync(path.join(project, 'libB.js'), 'function otherB() {}\n');
+
+    const second = await recompile(project, QUIET);
+    assert.deepStrictEqual(second.rekeyedFiles, [path.join(project, 'b.js')]);
+    assert.deepStrictEqual(second.encryptionKeys['a.js'].key, first.encryptionKeys['a.js'].key);
+    assert.notDeepStrictEqual(second.encryptionKeys['b.js'].key, first.encryptionKeys['b.js'].key);
+    assert.ok(second.writtenFiles.includes(path.join(project, 'recompiled', 'libB.js')));
+    assert.ok(second.writtenFiles.includes(path.join(project, 'recompiled', 'b.js')));
+    assert.ok(!second.writtenFiles.includes(path.join(project, 'recompiled', 'a.js')));
+});
+
+test('the files whose source was deleted are removed from the output folder', async t => {
+    const project = createProject(t);
+    await recompile(project, QUIET);
+    fs.unlinkSync(path.join(project, 'notes.txt'));
+
+    const second = await recompile(project, QUIET);
+    assert.deepStrictEqual(second.removedFiles, [path.join(project, 'recompiled', 'notes.txt')]);
+    assert.ok(!fs.existsSync(path.join(project, 'recompiled', 'notes.txt')));
+});
+
+test('without the cache every file is re-keyed and no cache is written', async t => {
+    const project = createProject(t);
+    await recompile(project, QUIET);
+    const cacheFile = path.join(project, '.antiplagiarism-cache.json');
+    fs.unlinkSync(cacheFile);
+
+    const second = await recompile(project, { ...QUIET, cache: false });
+    assert.strictEqual(second.rekeyedFiles.length, 2);
+    assert.ok(!fs.existsSync(cacheFile));
+});
+
+test('the cache is readable by its owner only and starts with a warning', { skip: process.platform === 'win32' }, async t => {
+    const project = createProject(t);
+    await recompile(project, QUIET);
+    const cacheFile = path.join(project, '.antiplagiarism-cache.json');
+    assert.strictEqual(fs.statSync(cacheFile).mode & 0o777, 0o600);
+    assert.strictEqual(Object.keys(JSON.parse(fs.readFileSync(cacheFile, 'utf8')))[0], 'WARNING');
+});
+
+test('the cache cannot be placed inside the output folder', async t => {
+    const project = createProject(t);
+    await assert.rejects(recompile(project, { ...QUIET, cacheFile: 'recompiled/cache.json' }), ConfigError);
+    assert.ok(!fs.existsSync(path.join(project, 'recompiled')));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile, ConfigError } = require('../builder');
+const { readProjectSecret } = require('../builder/options');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+const SECRET = 'a project secret of the tests';
+
+/**
+ * Creates a project whose page loads app.js, calling helper of lib.js from two call sites,
+ * with the given project secret. Returns the project folder.
+ */
+function createProject(t, secret = SECRET) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': '<script src="router/Router.js"></script><script src="lib.js"></script><script src="app.js"></script>\n',
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'function helper(x) {}\n',
+        'app.js': 'function first(x) {\n    window["routerForwardCall"]("lib-helper", "app", x);\n}\n' +
+            'function second(x) {\n    window["routerForwardCall"]("lib-helper", "app", x);\n}\n',
+        '.antiplagiarism-secret': secret + '\n'
+    });
+    return project;
+}
+
+/**
+ * Reads every file of an output folder, indexed by relative path.
+ */
+function readOutput(project) {
+    const outDir = path.join(project, 'recompiled');
+    const files = {};
+    const read = folder => fs.readdirSync(folder, { withFileTypes: true }).forEach(entry => {
+        const file = path.join(folder, entry.name);
+        if (entry.isDirectory()) read(file);
+        else files[path.relative(outDir, file)] = fs.readFileSync(file, 'utf8');
+    });
+    read(outDir);
+    return files;
+}
+
+test('the same sources and secret give a byte-identical output folder', async t => {
+    const first = createProject(t);
+    const second = createProject(t);
+    await recompile(first, { logLevel: 'silent', deterministic: true });
+    await recompile(second, { logLevel: 'silent', deterministic: true, cache: false });
+    const output = readOutput(first);
+    assert.deepStrictEqual(readOutput(second), output);
+    // The two call sites still get different ciphertexts
+    const [a, b] = output['app.js'].match(/"[A-Za-z0-9+/=]{20,}"/g);
+    assert.notStrictEqual(a, b);
+    // The secret is never copied to the output folder
+    assert.ok(!('.antiplagiarism-secret' in output));
+
+    // A rebuild with the cache gives the same output
+    await recompile(first, { logLevel: 'silent', deterministic: true });
+    assert.deepStrictEqual(readOutput(first), output);
+});
+
+test('another secret, or a random build, gives another output', async t => {
+    const first = createProject(t);
+    const second = createProject(t, 'another project secret');
+    const third = createProject(t);
+    await recompile(first, { logLevel: 'silent', deterministic: true });
+    await recompile(second, { logLevel: 'silent', deterministic: true });
+    await recompile(third, { logLevel: 'silent' });
+    const output = readOutput(first)['app.js'];
+    assert.notStrictEqual(readOutput(second)['app.js'], output);
+    assert.notStrictEqual(readOutput(third)['app.js'], output);
+});
+
+test('a deterministic build needs a secret of at least 16 characters', t => {
+    const project = createProject(t, 'too short');
+    const options = { secretFile: '.antiplagiarism-secret' };
+    assert.throws(() => readProjectSecret(project, options, {}), err =>
+        err instanceof ConfigError && /must be at least 16 characters long/.test(err.message));
+    assert.strictEqual(readProjectSecret(project, options, { ANTIPLAGIARISM_SECRET: SECRET }), SECRET);
+    fs.unlinkSync(path.join(project, '.antiplagiarism-secret'));
+    assert.throws(() => readProjectSecret(project, options, {}), err =>
+        err instanceof ConfigError && /needs a project secret: set ANTIPLAGIARISM_SECRET/.test(err.message));
+});
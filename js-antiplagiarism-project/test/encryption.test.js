@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+    encryptText, decryptText, encodeCallEnvelope, decodeCallEnvelope, deriveKey, getKeyMaterial, randomBytesUint8Array
+} = require('../builder/encryption');
+
+const HASH_A = 'aa'.repeat(32);
+const HASH_B = 'bb'.repeat(32);
+
+test('file keys are derived with HKDF-SHA-256 over the path-labelled branch hashes', async () => {
+    const salt = randomBytesUint8Array(32);
+    const key = await deriveKey('hkdf-sha256', { 'lib/b.js': HASH_B, 'a.js': HASH_A }, salt, 'app.js');
+    const expected = crypto.hkdfSync('sha256', JSON.stringify([['a.js', HASH_A], ['lib/b.js', HASH_B]]), salt, 'app.js', 32);
+    assert.deepStrictEqual(Buffer.from(key), Buffer.from(expected));
+    assert.strictEqual(getKeyMaterial({ 'lib/b.js': HASH_B, 'a.js': HASH_A }), getKeyMaterial({ 'a.js': HASH_A, 'lib/b.js': HASH_B }));
+
+    // Swapping the contents of two files, another salt or another file change the key
+    const hex = bytes => Buffer.from(bytes).toString('hex');
+    const keys = [
+        key,
+        await deriveKey('hkdf-sha256', { 'lib/b.js': HASH_A, 'a.js': HASH_B }, salt, 'app.js'),
+        await deriveKey('hkdf-sha256', { 'lib/b.js': HASH_B, 'a.js': HASH_A }, randomBytesUint8Array(32), 'app.js'),
+        await deriveKey('hkdf-sha256', { 'lib/b.js': HASH_B, 'a.js': HASH_A }, salt, 'other.js')
+    ].map(hex);
+    assert.strictEqual(new Set(keys).size, keys.length);
+});
+
+test('the keys of the older builds are the XOR of the branch hashes and the mask', async () => {
+    const mask = randomBytesUint8Array(32);
+    const key = await deriveKey('xor', { 'a.js': HASH_A, 'b.js': HASH_B }, mask, 'app.js');
+    assert.deepStrictEqual(Buffer.from(key), Buffer.from(mask.map(byte => byte ^ 0xaa ^ 0xbb)));
+    await assert.rejects(deriveKey('md5', {}, mask, 'app.js'), /unsupported key derivation "md5"/);
+});
+
+test('a call envelope decrypts with its key and callee only', async () => {
+    const key = randomBytesUint8Array(32);
+    const envelope = encodeCallEnvelope('file3-funzioneDiFile3-null-null', 'file2.js', 1);
+    const encrypted = await encryptText(envelope, key, 'file2.js');
+    assert.strictEqual(Buffer.from(encrypted.ciphertext, 'base64')[0], 3);
+
+    const decrypted = decodeCallEnvelope(await decryptText(encrypted.ciphertext, encrypted.iv, key, 'file2.js'));
+    assert.deepStrictEqual(decrypted, { caller: 'file2.js', site: 1, call: 'file3-funzioneDiFile3-null-null' });
+
+    await assert.rejects(decryptText(encrypted.ciphertext, encrypted.iv, randomBytesUint8Array(32), 'file2.js'), /tampered ciphertext/);
+    await assert.rejects(decryptText(encrypted.ciphertext, encrypted.iv, key, 'file3.js'), /tampered ciphertext/);
+    const tampered = Buffer.from(encrypted.ciphertext, 'base64');
+    tampered[tampered.length - 1] ^= 1;
+    await assert.rejects(decryptText(tampered.toString('base64'), encrypted.iv, key, 'file2.js'), /tampered ciphertext/);
+    tampered[0] = 2;
+    await assert.rejects(decryptText(tampered.toString('base64'), encrypted.iv, key, 'file2.js'), /unsupported ciphertext format \(version 2, expected 3\)/);
+});
+
+test('every encryption uses a new IV', async () => {
+    const key = randomBytesUint8Array(32);
+    const first = await encryptText('lib-helper-null-null', key, 'app.js');
+    const second = await encryptText('lib-helper-null-null', key, 'app.js');
+    assert.notStrictEqual(first.iv, second.iv);
+    assert.notStrictEqual(first.ciphertext, second.ciphertext);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile, ConfigError, BuildError } = require('../builder');
+const { emptyFolder, syncFolderRecursive, isInsideFolder } = require('../builder/files');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+const QUIET_BUILD = { logLevel: 'silent', cache: false, manifest: false };
+
+/**
+ * Creates a project (one page and one script) next to a sibling file, in a temporary folder.
+ * Returns { root, project }.
+ */
+function createProject(t) {
+    const root = createTempFolder(t);
+    const project = path.join(root, 'project');
+    writeFiles(project, {
+        'index.html': '<html><body><script src="app.js"></script></body></html>\n',
+        'app.js': 'function main() {}\n'
+    });
+    writeFiles(root, { 'sibling.txt': 'keep me\n' });
+    return { root, project };
+}
+
+test('isInsideFolder tells the folder itself and its descendants', () => {
+    assert.ok(isInsideFolder('/a/b', '/a/b'));
+    assert.ok(isInsideFolder('/a/b', '/a/b/c/d.js'));
+    assert.ok(!isInsideFolder('/a/b', '/a'));
+    assert.ok(!isInsideFolder('/a/b', '/a/bc'));
+    assert.ok(!isInsideFolder('/a/b', '/a/b/../c'));
+    assert.ok(isInsideFolder('/a/b', '/a/b/..c'));
+});
+
+test('the output folder must be a subfolder of the project folder', async t => {
+    const { root, project } = createProject(t);
+    for (const outDir of ['.', '..', '../out', root, path.parse(root).root]) {
+        await assert.rejects(recompile(project, { ...QUIET_BUILD, outDir }), ConfigError, `outDir ${outDir}`);
+    }
+    assert.deepStrictEqual(fs.readdirSync(root).sort(), ['project', 'sibling.txt']);
+    assert.deepStrictEqual(fs.readdirSync(project).sort(), ['app.js', 'index.html']);
+
+    const result = await recompile(project, { ...QUIET_BUILD, outDir: 'dist/site' });
+    assert.strictEqual(result.outDir, path.join(project, 'dist', 'site'));
+    assert.ok(fs.existsSync(path.join(project, 'dist', 'site', 'app.js')));
+});
+
+test('emptyFolder and syncFolderRecursive never delete the sources', t => {
+    const { root, project } = createProject(t);
+    assert.throws(() => emptyFolder(root, project), BuildError);
+    assert.throws(() => emptyFolder(project, project), BuildError);
+    assert.throws(() => syncFolderRecursive(project, root, {}), BuildError);
+    assert.throws(() => syncFolderRecursive(project, project, {}), BuildError);
+    assert.deepStrictEqual(fs.readdirSync(root).sort(), ['project', 'sibling.txt']);
+    assert.deepStrictEqual(fs.readdirSync(project).sort(), ['app.js', 'index.html']);
+});
+
+test('syncFolderRecursive removes the stale files of the output folder only', t => {
+    const { project } = createProject(t);
+    const outDir = path.join(project, 'recompiled');
+    writeFiles(outDir, { 'stale.js': '', 'old/stale.js': '' });
+    const { removed } = syncFolderRecursive(project, outDir, {}, [outDir]);
+    assert.deepStrictEqual(removed.sort(), [path.join(outDir, 'old', 'stale.js'), path.join(outDir, 'stale.js')]);
+    assert.deepStrictEqual(fs.readdirSync(outDir).sort(), ['app.js', 'index.html']);
+    assert.deepStrictEqual(fs.readdirSync(project).sort(), ['app.js', 'index.html', 'recompiled']);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { analyze, buildDependencyGraph, formatGraph } = require('../builder');
+const { createTempFolder, writeFiles, runCli } = require('./helpers');
+
+/**
+ * Creates a project whose page loads a.js and b.js, calling each other, b.js calling c of c.js
+ * through routerForwardCall, next to d.js that no page loads. Returns the project folder.
+ */
+function createProject(t) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': '<script src="a.js"></script><script src="b.js"></script>\n',
+        'a.js': 'function a() {\n    b();\n}\n',
+        'b.js': 'function b() {\n    a();\n    window["routerForwardCall"]("c-c-null-null", "b");\n}\n',
+        'c.js': 'function c() {}\n',
+        'd.js': 'function d() {}\n'
+    });
+    return project;
+}
+
+test('the graph lists the files, their dependencies, the key inputs and the cycles', t => {
+    const graph = buildDependencyGraph(analyze(createProject(t), { logLevel: 'silent' }));
+    const nodes = Object.fromEntries(graph.nodes.map(node => [node.id, node]));
+    assert.deepStrictEqual(Object.keys(nodes), ['a.js', 'b.js', 'c.js', 'd.js']);
+    assert.deepStrictEqual(nodes['b.js'], {
+        id: 'b.js', routerDependant: true, entry: true, reachable: true, inCycle: true, keyInputs: ['a.js', 'c.js'], feedsKeys: []
+    });
+    assert.deepStrictEqual(nodes['c.js'].feedsKeys, ['b.js']);
+    assert.strictEqual(nodes['c.js'].entry, false);
+    assert.strictEqual(nodes['d.js'].reachable, false);
+    assert.deepStrictEqual(graph.edges, [
+        { from: 'a.js', to: 'b.js', labels: ['b'], inCycle: true },
+        { from: 'b.js', to: 'a.js', labels: ['a'], inCycle: true },
+        { from: 'b.js', to: 'c.js', labels: ['routerForwardCall(c)'], inCycle: false }
+    ]);
+    assert.deepStrictEqual(graph.cycles, [['a.js', 'b.js']]);
+});
+
+test('the graph is formatted as DOT and Mermaid', t => {
+    const graph = buildDependencyGraph(analyze(createProject(t), { logLevel: 'silent' }));
+    const dot = formatGraph(graph, 'dot');
+    assert.match(dot, /^digraph dependencies \{/);
+    assert.match(dot, /"b\.js" -> "c\.js" \[label="routerForwardCall\(c\)"/);
+    const mermaid = formatGraph(graph, 'mermaid');
+    assert.match(mermaid, /^flowchart LR/);
+    assert.match(mermaid, /n1 -->\|"routerForwardCall\(c\)"\| n2/);
+    assert.match(mermaid, /class n3 unreachable/);
+});
+
+test('the graph command writes the graph without building the project', t => {
+    const project = createProject(t);
+    const output = path.join(project, 'graph.json');
+    let result = runCli(['graph', '--format', 'json', '--output', output, '--log-level', 'silent', project]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(output, 'utf8')).cycles, [['a.js', 'b.js']]);
+    assert.ok(!fs.existsSync(path.join(project, 'recompiled')));
+
+    result = runCli(['graph', '--format', 'svg', project]);
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Invalid --format value "svg": expected one of dot, mermaid, json/);
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+
+/**
+ * Command-line script of the repository, run by the tests.
+ */
+const CLI = path.join(__dirname, '..', 'RouterCallsCreator.js');
+
+/**
+ * Creates a temporary folder, removed when the test ends.
+ */
+function createTempFolder(t) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'antiplagiarism-test-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    return folder;
+}
+
+/**
+ * Writes the given files ({ relativePath: content }) into a folder.
+ */
+function writeFiles(folder, files) {
+    for (const relativePath in files) {
+        const file = path.join(folder, relativePath);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, files[relativePath], 'utf8');
+    }
+}
+
+/**
+ * Runs the command-line script with the given arguments.
+ * Returns { status, stdout, stderr }.
+ */
+function runCli(args) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+    return { status, stdout, stderr };
+}
+
+/**
+ * Reads a base64 JSON declaration (e.g. DEPENDENCY_TREE_BASE64) of a Router.js file.
+ */
+function readRouterDeclaration(routerFile, name) {
+    const match = fs.readFileSync(routerFile, 'utf8').match(new RegExp(`^const ${name} = "([^"]*)";`, 'm'));
+    return match ? JSON.parse(Buffer.from(match[1], 'base64').toString('utf8')) : undefined;
+}
+
+/**
+ * URL the applications loaded by loadApplication are served from.
+ */
+const BASE_URL = 'https://app.example/';
+
+/**
+ * Runs Router.js and the given scripts of an output folder in a fake browser page, with the SHA-256
+ * hashes the extension would compute for them, for the page (options.page, default "index.html")
+ * and for options.assets. options.routerPath is the path of Router.js (default "router/Router.js").
+ * Returns { context, run, errors, warnings, logs, overlays } where run(code, url) runs code as the
+ * script at url (relative to the application, or absolute), errors, warnings and logs collect the
+ * messages Router.js logs and overlays the elements it appends to the page (the tamper overlay).
+ */
+function loadApplication(outDir, scripts, options = {}) {
+    const { page = 'index.html', assets = [], routerPath = 'router/Router.js' } = options;
+    const errors = [];
+    const warnings = [];
+    const logs = [];
+    const overlays = [];
+    const element = { style: {}, append() {}, appendChild() {}, addEventListener() {} };
+    const pageFile = path.join(outDir, page);
+    const pageContent = fs.existsSync(pageFile) ? fs.readFileSync(pageFile, 'utf8') : '';
+    const inlineScripts = [...pageContent.matchAll(/<script(?![^>]*\bsrc=)[^>]*>([\s\S]*?)<\/script>/g)]
+        .map(match => ({ textContent: match[1] }));
+    const context = {
+        console: {
+            log: (...args) => logs.push(args.join(' ')),
+            warn: (...args) => warnings.push(args.join(' ')),
+            error: (...args) => errors.push(args.join(' '))
+        },
+        atob, btoa, TextEncoder, TextDecoder, URL, setTimeout,
+        crypto: crypto.webcrypto,
+        location: { href: BASE_URL + page },
+        document: {
+            currentScript: { src: BASE_URL + routerPath },
+            readyState: 'complete',
+            querySelectorAll: () => inlineScripts,
+            createElement: () => ({ ...element }),
+            getElementById: id => overlays.find(overlay => overlay.id === id) || null,
+            body: { ...element, appendChild: child => overlays.push(child) }
+        },
+        globalHashes: {}
+    };
+    // The Web Crypto API of Node only takes the buffers of its own realm
+    Object.assign(context, { Uint8Array, ArrayBuffer, DataView, Array, Object, JSON, Promise, String, Number, Set, Error });
+    context.window = context;
+    vm.createContext(context);
+    for (const relativePath of [...scripts, ...(pageContent ? [page] : []), ...assets]) {
+        context.globalHashes[BASE_URL + relativePath] = crypto.createHash('sha256')
+            .update(fs.readFileSync(path.join(outDir, relativePath))).digest('hex');
+    }
+    const run = (code, url) => new vm.Script(code, { filename: url.includes('://') ? url : BASE_URL + url }).runInContext(context);
+    [routerPath, ...scripts].forEach(relativePath => run(fs.readFileSync(path.join(outDir, relativePath), 'utf8'), relativePath));
+    return { context, run, errors, warnings, logs, overlays };
+}
+
+/**
+ * Resolves once predicate() returns true, polling it; rejects after timeout milliseconds.
+ */
+function waitFor(predicate, timeout = 2000) {
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (predicate()) {
+                resolve();
+            } else if (Date.now() - start > timeout) {
+                reject(new Error('Timed out waiting for the condition'));
+            } else {
+                setTimeout(check, 10);
+            }
+        };
+        check();
+    });
+}
+
+module.exports = {
+    BASE_URL,
+    CLI,
+    createTempFolder,
+    writeFiles,
+    runCli,
+    readRouterDeclaration,
+    loadApplication,
+    waitFor
+};
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile, verify } = require('../builder');
+const { BASE_URL, createTempFolder, writeFiles, loadApplication, waitFor } = require('./helpers');
+
+const SCRIPTS = ['lib.js', 'app.js'];
+
+/**
+ * Builds a project whose page has an inline script and loads style.css (an asset) and the scripts
+ * lib.js and app.js. Returns the project folder.
+ */
+async function buildProject(t) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': '<html><head><link rel="stylesheet" href="style.css"></head><body>\n' +
+            '<script src="router/Router.js"></script><script src="lib.js"></script><script src="app.js"></script>\n' +
+            '<script>window.ready = true;</script>\n</body></html>\n',
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'function helper(x) {}\n',
+        'app.js': 'function start(x) {\n    window["routerForwardCall"]("lib-helper", "app", x);\n}\n',
+        'style.css': 'body { color: black; }\n'
+    });
+    await recompile(project, { logLevel: 'silent', cache: false, manifest: false, assets: ['**/*.css'] });
+    return project;
+}
+
+/**
+ * Loads the application of a project and waits for Router.js to check its hashes.
+ * Returns { warnings, overlays } of loadApplication; change(context) may alter the page first.
+ */
+async function checkApplication(project, change = () => {}) {
+    const outDir = path.join(project, 'recompiled');
+    const application = loadApplication(outDir, SCRIPTS, { assets: ['style.css'] });
+    change(application.context, outDir);
+    const { logs, warnings, errors } = application;
+    await waitFor(() => logs.some(log => /Tutti gli hash combaciano/.test(log)) || warnings.length > 0 || errors.length > 0);
+    return application;
+}
+
+test('Router.js accepts the recompiled page, its inline scripts and its assets', async t => {
+    const { warnings, errors, overlays } = await checkApplication(await buildProject(t));
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(overlays.length, 0);
+});
+
+test('Router.js shows the tamper overlay for a changed page, inline script or asset', async t => {
+    const project = await buildProject(t);
+    const changes = {
+        'Mismatch per la pagina index.html': context => { context.globalHashes[BASE_URL + 'index.html'] = '00'.repeat(32); },
+        'Mismatch per lo script inline n. 1 della pagina index.html': context => {
+            context.document.querySelectorAll = () => [{ textContent: 'window.ready = false;' }];
+        },
+        'contiene 2 script inline, attesi 1': context => {
+            context.document.querySelectorAll = () => [{ textContent: 'window.ready = true;' }, { textContent: 'steal();' }];
+        },
+        'Mismatch per style.css': context => { context.globalHashes[BASE_URL + 'style.css'] = '00'.repeat(32); },
+        'non è una delle pagine dell\'applicazione': context => { context.location.href = BASE_URL + 'copy.html'; }
+    };
+    for (const expected in changes) {
+        // The checks run once the scripts are loaded, so the page can still be changed
+        const { warnings, overlays } = await checkApplication(project, changes[expected]);
+        assert.ok(warnings.some(warning => warning.includes(expected)), `${expected}: ${warnings}`);
+        assert.strictEqual(overlays.length, 1, expected);
+    }
+});
+
+test('an asset the page does not load is not required', async t => {
+    const project = await buildProject(t);
+    const { warnings, overlays } = await checkApplication(project, context => {
+        delete context.globalHashes[BASE_URL + 'style.css'];
+    });
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(overlays.length, 0);
+});
+
+test('verify reports the changed pages, inline scripts and assets', async t => {
+    const project = await buildProject(t);
+    const outDir = path.join(project, 'recompiled');
+    const page = path.join(outDir, 'index.html');
+    fs.writeFileSync(page, fs.readFileSync(page, 'utf8').replace('window.ready = true;', 'window.ready = false;'));
+    fs.appendFileSync(path.join(outDir, 'style.css'), 'body { color: red; }\n');
+
+    const report = await verify(project, { logLevel: 'silent' });
+    const messages = report.failures.map(failure => `${failure.location}: ${failure.message}`);
+    assert.ok(messages.some(message => /^index\.html: hash \w+ differs/.test(message)), messages.join('\n'));
+    assert.ok(messages.includes('index.html: inline script #1 differs from the one expected by Router.js'), messages.join('\n'));
+    assert.ok(messages.some(message => /^style\.css: hash \w+ differs/.test(message)), messages.join('\n'));
+});
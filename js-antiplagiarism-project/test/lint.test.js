@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile, BuildError } = require('../builder');
+const { lintCallString } = require('../builder/analyzer');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+test('well-formed call strings pass', () => {
+    for (const callString of ['helper-null-null', 'helper-number,string-7,hello', 'helper-boolean,object-true,{"a":1}']) {
+        assert.deepStrictEqual(lintCallString(callString, false), { functionName: 'helper', errors: [], warnings: [] }, callString);
+    }
+    assert.deepStrictEqual(lintCallString('helper', true), { functionName: 'helper', errors: [], warnings: [] });
+});
+
+test('malformed call strings are errors', () => {
+    const errors = callString => lintCallString(callString, false).errors;
+    assert.match(errors('helper-null')[0], /found 3 parts separated by "-"/);
+    assert.match(errors('helper-null-7')[0], /must be both "null"/);
+    assert.match(errors('helper-number,number-7')[0], /2 parameter types but 1 value/);
+    assert.match(errors('helper-date-7')[0], /unknown type "date" of parameter 1/);
+    assert.match(errors('helper-number-abc')[0], /value "abc" of parameter 1 is not a number/);
+    assert.match(errors('helper-boolean-yes')[0], /value "yes" of parameter 1 is not a boolean/);
+    assert.match(errors('helper-object-{a}')[0], /value of parameter 1 is not valid JSON/);
+    assert.match(errors('1helper-null-null')[0], /"1helper" is not a valid function name/);
+});
+
+test('capitalised types and types given with arguments are warnings', () => {
+    const capitalised = lintCallString('helper-Number-7', false);
+    assert.deepStrictEqual(capitalised.errors, []);
+    assert.match(capitalised.warnings[0], /type "Number" of parameter 1 is not recognised by Router\.js, .*write "number"/);
+    const withArguments = lintCallString('helper-number-7', true);
+    assert.deepStrictEqual(withArguments.errors, []);
+    assert.match(withArguments.warnings[0], /the parameter types and values are ignored/);
+});
+
+test('the build stops on every invalid target, naming its location', async t => {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': '<script src="router/Router.js"></script><script src="a.js"></script>\n',
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'a.js': 'function start() {\n    window["routerForwardCall"]("lib-helper-number-abc", "a");\n' +
+            '    window["routerForwardCall"]("lib-missing-null-null", "a");\n}\n',
+        'lib.js': 'function helper(x) {}\n'
+    });
+    await assert.rejects(recompile(project, { logLevel: 'silent', cache: false, manifest: false }), err => {
+        assert.ok(err instanceof BuildError);
+        assert.match(err.message, /^Invalid routerForwardCall target at .*a\.js:2:5: value "abc" of parameter 1 is not a number$/m);
+        assert.match(err.message, /^Invalid routerForwardCall target at .*a\.js:3:5: missing is not declared in lib\.js$/m);
+        return true;
+    });
+    assert.ok(!fs.existsSync(path.join(project, 'recompiled')));
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTempFolder, writeFiles, runCli } = require('./helpers');
+
+/**
+ * Creates a project whose page loads a.js, calling helper of lib.js through routerForwardCall.
+ * Returns the project folder.
+ */
+function createProject(t) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': '<script src="router/Router.js"></script><script src="lib.js"></script><script src="a.js"></script>\n',
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'function helper() {}\n',
+        'a.js': 'function start() {\n    window["routerForwardCall"]("lib-helper-null-null", "a");\n}\n'
+    });
+    return project;
+}
+
+test('the manifest describes the build without any key material', t => {
+    const project = createProject(t);
+    const result = runCli(['--log-level', 'silent', '--keystore', 'keys.json', project]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const manifestText = fs.readFileSync(path.join(project, 'antiplagiarism-manifest.json'), 'utf8');
+    const manifest = JSON.parse(manifestText);
+    assert.strictEqual(manifest.files['a.js'].routerDependant, true);
+    assert.deepStrictEqual(manifest.files['a.js'].keyInputs, ['lib.js']);
+    assert.deepStrictEqual(manifest.calls.map(({ file, line, column, callee }) => ({ file, line, column, callee })),
+        [{ file: 'a.js', line: 2, column: 5, callee: 'a.js' }]);
+
+    const keystore = JSON.parse(fs.readFileSync(path.join(project, 'keys.json'), 'utf8'));
+    assert.match(keystore.WARNING, /^SECRET/);
+    const { key } = keystore.keys['a.js'];
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.ok(!manifestText.includes(key));
+    assert.ok(!manifestText.includes('lib-helper-null-null'));
+    if (process.platform !== 'win32') {
+        assert.strictEqual(fs.statSync(path.join(project, 'keys.json')).mode & 0o777, 0o600);
+    }
+    // Neither the manifest nor the keystore are copied to the output folder
+    assert.deepStrictEqual(fs.readdirSync(path.join(project, 'recompiled')).sort(), ['a.js', 'index.html', 'lib.js', 'router']);
+});
+
+test('keys and plaintext calls are never printed, whatever the log level', t => {
+    const project = createProject(t);
+    const result = runCli(['--log-level', 'debug', '--keystore', 'keys.json', project]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const { key, salt } = JSON.parse(fs.readFileSync(path.join(project, 'keys.json'), 'utf8')).keys['a.js'];
+    const output = result.stdout + result.stderr;
+    assert.match(output, /Dependency Tree/);
+    assert.ok(!output.includes(key));
+    assert.ok(!output.includes(salt));
+    assert.ok(!output.includes('lib-helper-null-null'));
+});
+
+test('the keystore cannot be written inside the output folder', t => {
+    const project = createProject(t);
+    const result = runCli(['--keystore', 'recompiled/keys.json', project]);
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Option "keystoreFile" cannot be inside the output folder/);
+});
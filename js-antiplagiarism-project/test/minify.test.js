@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile, verify } = require('../builder');
+const { createTempFolder, writeFiles, loadApplication, waitFor } = require('./helpers');
+
+/**
+ * Builds a minified project whose app.js calls helper of lib.js, which records its argument in
+ * window.calls, next to unused.js that no page loads. Returns its output folder.
+ */
+async function buildProject(t) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': '<script src="router/Router.js"></script><script src="lib.js"></script><script src="app.js"></script>\n',
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'window.calls = [];\n// Records its argument\nfunction helper(value) {\n    const recorded = value;\n    window.calls.push(recorded);\n}\n',
+        'app.js': 'function start(value) {\n    window["routerForwardCall"]("lib-helper", "app", value);\n}\n',
+        'unused.js': '// Not loaded\nfunction unused() {}\n'
+    });
+    await recompile(project, { logLevel: 'silent', cache: false, manifest: false, minify: true });
+    return project;
+}
+
+test('the scripts loaded by the pages are minified, keeping their top-level names', async t => {
+    const project = await buildProject(t);
+    const outDir = path.join(project, 'recompiled');
+    const lib = fs.readFileSync(path.join(outDir, 'lib.js'), 'utf8');
+    assert.ok(!lib.includes('Records'));
+    assert.ok(!lib.includes('recorded'));
+    assert.match(lib, /function helper\(\w\)/);
+    assert.match(fs.readFileSync(path.join(outDir, 'app.js'), 'utf8'), /^function start\(\w\)\{window\["routerForwardCall"\]\("[A-Za-z0-9+/=]+","app\.js",\w\)\}$/);
+    // Router.js and the files no page loads are copied as they are
+    assert.strictEqual(fs.readFileSync(path.join(outDir, 'unused.js'), 'utf8'), fs.readFileSync(path.join(project, 'unused.js'), 'utf8'));
+    assert.match(fs.readFileSync(path.join(outDir, 'router', 'Router.js'), 'utf8'), /^\/\/ Version of the ciphertext format/m);
+});
+
+test('the hashes and keys are those of the minified scripts', async t => {
+    const project = await buildProject(t);
+    const report = await verify(project, { logLevel: 'silent' });
+    assert.deepStrictEqual(report.failures, []);
+
+    const { context, run, errors } = loadApplication(path.join(project, 'recompiled'), ['lib.js', 'app.js']);
+    run('start(21)', 'test.js');
+    await waitFor(() => context.calls.length > 0 || errors.length > 0);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(Array.from(context.calls), [21]);
+});
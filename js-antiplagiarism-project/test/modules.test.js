@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { analyze, recompile } = require('../builder');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+const QUIET = { logLevel: 'silent', cache: false };
+
+/**
+ * Creates a project where app.mjs imports greet from greet.mjs through the barrel.mjs re-exports,
+ * caller.js calls greet through routerForwardCall and script.js calls a function named like a
+ * module function. Returns the project folder.
+ */
+function createProject(t) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'greet.mjs': 'export function greet(name) {\n    return "hi " + name;\n}\nexport default function farewell() {}\n',
+        'barrel.mjs': 'export * from "./greet.mjs";\n',
+        'app.mjs': 'import { greet } from "./barrel.mjs";\nimport lodash from "lodash";\nexport function main() {\n    return greet("you");\n}\n',
+        'caller.js': 'function start() {\n    window["routerForwardCall"]("greet-greet", "caller", "you");\n}\n',
+        'script.js': 'function run() {\n    main();\n}\n'
+    });
+    return project;
+}
+
+test('imports are linked to the file declaring the imported name, through re-exports', t => {
+    const project = createProject(t);
+    const { dependencyTree } = analyze(project, QUIET);
+    const app = dependencyTree[path.join(project, 'app.mjs')];
+    assert.deepStrictEqual(Object.keys(app.dependencies).sort(), [path.join(project, 'barrel.mjs'), path.join(project, 'greet.mjs')]);
+    assert.deepStrictEqual(Object.keys(dependencyTree[path.join(project, 'barrel.mjs')].dependencies), [path.join(project, 'greet.mjs')]);
+});
+
+test('the top-level functions of a module are not matched by name from other files', t => {
+    const project = createProject(t);
+    const { dependencyTree } = analyze(project, QUIET);
+    assert.deepStrictEqual(dependencyTree[path.join(project, 'script.js')].dependencies, {});
+});
+
+test('a module targeted by routerForwardCall registers its exports for Router.js', async t => {
+    const project = createProject(t);
+    const { dependencyTree } = await recompile(project, QUIET);
+    assert.deepStrictEqual(Object.keys(dependencyTree[path.join(project, 'caller.js')].dependencies), [path.join(project, 'greet.mjs')]);
+
+    const greet = fs.readFileSync(path.join(project, 'recompiled', 'greet.mjs'), 'utf8');
+    assert.match(greet, /import \* as __routerModuleExports from "\.\/greet\.mjs";/);
+    assert.match(greet, /\(window\.routerModuleExports = window\.routerModuleExports \|\| \{\}\)\["greet\.mjs"\] = __routerModuleExports;/);
+    // The modules no routerForwardCall targets are copied as they are
+    assert.strictEqual(fs.readFileSync(path.join(project, 'recompiled', 'app.mjs'), 'utf8'), fs.readFileSync(path.join(project, 'app.mjs'), 'utf8'));
+});
+
+test('a page loads the modules its scripts import, directly or not', t => {
+    const project = createProject(t);
+    writeFiles(project, {
+        'index.html': '<script type="module" src="app.mjs"></script>\n<script type="module">import "./caller.js";</script>\n'
+    });
+    const { pages } = analyze(project, QUIET);
+    assert.deepStrictEqual(pages[0].loadedFiles, ['app.mjs', 'barrel.mjs', 'greet.mjs', 'caller.js'].map(file => path.join(project, file)));
+});
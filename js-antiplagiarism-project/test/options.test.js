@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTempFolder, writeFiles, runCli, readRouterDeclaration } = require('./helpers');
+
+/**
+ * Creates a project with a router folder, a script and a vendored library, plus the given files.
+ * Returns the project folder.
+ */
+function createProject(t, files = {}) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'app.js': 'function start() {\n    helper();\n}\n',
+        'vendor/lib.js': 'function helper() {}\n',
+        ...files
+    });
+    return project;
+}
+
+test('the config file sets the options and the command-line flags take precedence', t => {
+    const project = createProject(t, { 'antiplagiarism.config.json': JSON.stringify({ outDir: 'from-config', logLevel: 'silent' }) });
+    let result = runCli([project]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, '');
+    assert.ok(fs.existsSync(path.join(project, 'from-config', 'app.js')));
+
+    result = runCli(['--out-dir', 'from-flag', project]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(fs.existsSync(path.join(project, 'from-flag', 'app.js')));
+});
+
+test('invalid options exit with code 2 naming the option and its source', t => {
+    const project = createProject(t, { 'antiplagiarism.config.json': JSON.stringify({ exclude: 'vendor' }) });
+    let result = runCli([project]);
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Option "exclude" in .*antiplagiarism\.config\.json must be a list of non-empty strings/);
+    assert.ok(!fs.existsSync(path.join(project, 'recompiled')));
+
+    result = runCli(['--log-level', 'loud', createProject(t)]);
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Invalid log level "loud" in command-line arguments/);
+});
+
+test('the excluded files are copied but not analyzed', t => {
+    const project = createProject(t);
+    const result = runCli(['--log-level', 'silent', project]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const tree = readRouterDeclaration(path.join(project, 'recompiled', 'router', 'Router.js'), 'DEPENDENCY_TREE_BASE64');
+    assert.deepStrictEqual(Object.keys(tree).some(file => file.includes('vendor')), false);
+    assert.ok(fs.existsSync(path.join(project, 'recompiled', 'vendor', 'lib.js')));
+});
+
+test('a dry run writes nothing', t => {
+    const project = createProject(t);
+    const result = runCli(['--dry-run', '--log-level', 'silent', project]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(fs.readdirSync(project).sort(), ['app.js', 'router', 'vendor']);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile, BuildError } = require('../builder');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+const QUIET = { logLevel: 'silent', cache: false };
+
+/**
+ * Creates a project whose page loads lib.js and app.js, app.js calling helper of lib.js through
+ * routerForwardCall while loading, next to unused.js that no page loads. Returns the project folder.
+ */
+function createProject(t, page) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': page,
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'function helper() {}\n',
+        'app.js': 'window["routerForwardCall"]("lib-helper-null-null", "app");\n',
+        'unused.js': 'function unused() {\n    helper();\n}\n'
+    });
+    return project;
+}
+
+/**
+ * Returns a logger collecting the warnings into an array.
+ */
+function createWarningsLogger(warnings) {
+    return { error() {}, warn: message => warnings.push(message), info() {}, debug() {} };
+}
+
+test('only the files the pages load are keyed and hashed', async t => {
+    const project = createProject(t, '<body>\n    <script src="lib.js"></script>\n    <script src="app.js"></script>\n</body>\n');
+    const result = await recompile(project, QUIET);
+    assert.deepStrictEqual(result.entryFiles.sort(), [path.join(project, 'app.js'), path.join(project, 'lib.js')]);
+    assert.ok(!(path.join(project, 'unused.js') in result.dependencyTree));
+    assert.deepStrictEqual(Object.keys(result.router.precomputedHashes).sort(), ['app.js', 'lib.js']);
+    // The files no page loads are still copied
+    assert.ok(fs.existsSync(path.join(project, 'recompiled', 'unused.js')));
+});
+
+test('the Router.js tag is injected before the first script calling routerForwardCall while loading', async t => {
+    const project = createProject(t, '<body>\n    <script src="lib.js"></script>\n    <script src="app.js"></script>\n</body>\n');
+    const result = await recompile(project, QUIET);
+    assert.deepStrictEqual(result.injectedPages, [path.join(project, 'index.html')]);
+    assert.strictEqual(fs.readFileSync(path.join(project, 'recompiled', 'index.html'), 'utf8'),
+        '<body>\n    <script src="lib.js"></script>\n    <script src="router/Router.js"></script>\n    <script src="app.js"></script>\n</body>\n');
+    // The source page is left untouched
+    assert.ok(!fs.readFileSync(path.join(project, 'index.html'), 'utf8').includes('Router.js'));
+});
+
+test('a Router.js tag loaded too late is reported and left as it is', async t => {
+    const page = '<body>\n<script src="lib.js"></script>\n<script src="app.js"></script>\n<script src="router/Router.js"></script>\n</body>\n';
+    const project = createProject(t, page);
+    const warnings = [];
+    const result = await recompile(project, { ...QUIET, logger: createWarningsLogger(warnings) });
+    assert.deepStrictEqual(result.injectedPages, []);
+    assert.ok(warnings.some(warning => /router\/Router\.js is loaded after app\.js, which calls routerForwardCall while loading/.test(warning)));
+    assert.strictEqual(fs.readFileSync(path.join(project, 'recompiled', 'index.html'), 'utf8'), page);
+});
+
+test('with injectRouter false the missing Router.js tag is only reported', async t => {
+    const page = '<body>\n<script src="lib.js"></script>\n<script src="app.js"></script>\n</body>\n';
+    const project = createProject(t, page);
+    const warnings = [];
+    const result = await recompile(project, { ...QUIET, injectRouter: false, logger: createWarningsLogger(warnings) });
+    assert.deepStrictEqual(result.injectedPages, []);
+    assert.ok(warnings.some(warning => /router\/Router\.js is not loaded/.test(warning)));
+    assert.strictEqual(fs.readFileSync(path.join(project, 'recompiled', 'index.html'), 'utf8'), page);
+});
+
+test('the router calls of a file no page loads fail the build instead of shipping in plaintext', async t => {
+    const project = createProject(t, '<body>\n    <script src="lib.js"></script>\n    <script src="app.js"></script>\n</body>\n');
+    writeFiles(project, { 'unused.js': 'function unused() {\n    window["routerForwardCall"]("lib-helper-null-null", "unused");\n}\n' });
+    await assert.rejects(recompile(project, QUIET), err => {
+        assert.ok(err instanceof BuildError);
+        assert.match(err.message, /routerForwardCall found in files no page loads/);
+        assert.match(err.message, /unused\.js:2:5/);
+        return true;
+    });
+    assert.ok(!fs.existsSync(path.join(project, 'recompiled')));
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile, BuildError } = require('../builder');
+const { createTempFolder, writeFiles, runCli, readRouterDeclaration } = require('./helpers');
+
+const QUIET = { logLevel: 'silent', cache: false };
+
+/**
+ * Creates a project with two files named utils.js (in lib and app) and app/main.js calling
+ * format of lib/utils.js through the given routerForwardCall. Returns the project folder.
+ */
+function createProject(t, call) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib/utils.js': 'function format(value) {\n    return String(value);\n}\n',
+        'app/utils.js': 'function parse(value) {\n    return Number(value);\n}\n',
+        'app/main.js': `function start(value) {\n    ${call};\n}\n`
+    });
+    return project;
+}
+
+test('targets and callees given as relative paths are keyed by their path', async t => {
+    const project = createProject(t, 'window["routerForwardCall"]("lib/utils-format", "app/main", value)');
+    const result = await recompile(project, QUIET);
+    const tree = readRouterDeclaration(path.join(project, 'recompiled', 'router', 'Router.js'), 'DEPENDENCY_TREE_BASE64');
+    assert.deepStrictEqual(Object.keys(tree['app/main.js'].dependencies), ['lib/utils.js']);
+    assert.deepStrictEqual(Object.keys(result.ivsMapping), ['app/main.js']);
+    assert.match(fs.readFileSync(path.join(project, 'recompiled', 'app', 'main.js'), 'utf8'),
+        /window\["routerForwardCall"\]\("[A-Za-z0-9+/=]+", "app\/main\.js", value\)/);
+});
+
+test('a base name shared by several files is ambiguous', async t => {
+    const project = createProject(t, 'window["routerForwardCall"]("utils-format", "main", value)');
+    await assert.rejects(recompile(project, QUIET), err => {
+        assert.ok(err instanceof BuildError);
+        assert.match(err.message, /Ambiguous routerForwardCall target "utils-format" at .*main\.js:2:5: it may refer to (lib\/utils\.js, app\/utils\.js|app\/utils\.js, lib\/utils\.js)/);
+        return true;
+    });
+
+    const { status, stderr } = runCli(['--log-level', 'silent', '--no-cache', project]);
+    assert.strictEqual(status, 1);
+    assert.match(stderr, /Ambiguous routerForwardCall target "utils-format"/);
+    assert.ok(!fs.existsSync(path.join(project, 'recompiled')));
+});
+
+test('a malformed URL in a page fails the build, naming the page', async t => {
+    const project = createProject(t, 'window["routerForwardCall"]("lib/utils-format", "app/main", value)');
+    writeFiles(project, { 'index.html': '<html><body><script src="app/ma%zzin.js"></script></body></html>\n' });
+    await assert.rejects(recompile(project, QUIET), err => {
+        assert.ok(err instanceof BuildError);
+        assert.match(err.message, /Malformed URL "app\/ma%zzin\.js" in .*index\.html/);
+        return true;
+    });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTempFolder, writeFiles, runCli } = require('./helpers');
+
+/**
+ * Creates and recompiles a project where lib.js declares the protected function helper,
+ * called by app.js as a statement, in an expression and awaited.
+ * Returns { project, stderr }.
+ */
+function buildProject(t) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': '/* @protect */\nfunction helper(x) {\n    return x * 2;\n}\nfunction local() {\n    helper(1);\n}\n',
+        'app.js': 'function start(a) {\n    helper(a, 2);\n    helper();\n    const doubled = helper(a);\n    return doubled;\n}\n' +
+            'async function later(a) {\n    return await helper(a);\n}\n'
+    });
+    const { status, stderr } = runCli([project]);
+    assert.strictEqual(status, 0, stderr);
+    return { project, stderr };
+}
+
+test('cross-file statement calls to protected functions are rewritten and encrypted', t => {
+    const { project } = buildProject(t);
+    const output = fs.readFileSync(path.join(project, 'recompiled', 'app.js'), 'utf8');
+    assert.match(output, /^ {4}window\["routerForwardCall"\]\("[A-Za-z0-9+/=]+", "app\.js", a, 2\);$/m);
+    assert.match(output, /^ {4}window\["routerForwardCall"\]\("[A-Za-z0-9+/=]+", "app\.js"\);$/m);
+    assert.ok(!output.includes('lib-helper'));
+});
+
+test('an awaited protected call is rewritten, since routerForwardCall returns a Promise of its value', t => {
+    const { project, stderr } = buildProject(t);
+    const output = fs.readFileSync(path.join(project, 'recompiled', 'app.js'), 'utf8');
+    assert.match(output, /^ {4}return await window\["routerForwardCall"\]\("[A-Za-z0-9+/=]+", "app\.js", a\);$/m);
+    assert.ok(!/app\.js:8:/.test(stderr), stderr);
+});
+
+test('a protected call whose value is used is left alone and reported', t => {
+    const { project, stderr } = buildProject(t);
+    const output = fs.readFileSync(path.join(project, 'recompiled', 'app.js'), 'utf8');
+    assert.match(output, /const doubled = helper\(a\);/);
+    assert.match(stderr, /Call to protected function helper at .*app\.js:4:21 was not rewritten: its return value is used/);
+});
+
+test('the calls made by the file declaring the protected function are left alone', t => {
+    const { project } = buildProject(t);
+    assert.strictEqual(fs.readFileSync(path.join(project, 'recompiled', 'lib.js'), 'utf8'), fs.readFileSync(path.join(project, 'lib.js'), 'utf8'));
+    assert.ok(!fs.readFileSync(path.join(project, 'lib.js'), 'utf8').includes('routerForwardCall'));
+});
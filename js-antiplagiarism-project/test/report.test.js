@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { recompile } = require('../builder');
+const { createTamperReportReceiver } = require('../TamperReportReceiver');
+const { BASE_URL, createTempFolder, writeFiles, loadApplication, waitFor } = require('./helpers');
+
+/**
+ * Starts a receiver on a free port, closed at the end of the test.
+ * Returns { port, reports } where reports collects the reports it received.
+ */
+async function startReceiver(t) {
+    const reports = [];
+    const server = createTamperReportReceiver(report => reports.push(report));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { port: server.address().port, reports };
+}
+
+/**
+ * Sends a request to the receiver. Returns the status code of the response.
+ */
+function request(port, method, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path: '/report', headers }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+test('the receiver answers 204 to a valid report and keeps its known fields only', async t => {
+    const { port, reports } = await startReceiver(t);
+    const report = { buildId: '0123456789abcdef', reason: 'hash-mismatch', file: 'lib.js', expectedHash: 'aa', extra: 'dropped', page: 42 };
+    assert.strictEqual(await request(port, 'POST', JSON.stringify(report), { 'Content-Type': 'text/plain', Origin: 'https://copy.example' }), 204);
+    assert.strictEqual(reports.length, 1);
+    const { receivedAt, remoteAddress, ...fields } = reports[0];
+    assert.ok(!isNaN(Date.parse(receivedAt)));
+    assert.strictEqual(remoteAddress, '127.0.0.1');
+    assert.deepStrictEqual(fields, {
+        buildId: '0123456789abcdef', origin: null, page: null, reason: 'hash-mismatch', file: 'lib.js',
+        expectedHash: 'aa', actualHash: null, message: null, time: null, requestOrigin: 'https://copy.example'
+    });
+});
+
+test('the receiver refuses invalid and oversized reports and other methods', async t => {
+    const { port, reports } = await startReceiver(t);
+    assert.strictEqual(await request(port, 'POST', 'not json'), 400);
+    assert.strictEqual(await request(port, 'POST', '[]'), 400);
+    assert.strictEqual(await request(port, 'POST', JSON.stringify({ file: 'lib.js' })), 400);
+    assert.strictEqual(await request(port, 'POST', JSON.stringify({ reason: 'hash-mismatch', message: 'x'.repeat(20000) })), 413);
+    assert.strictEqual(await request(port, 'GET'), 405);
+    assert.strictEqual(await request(port, 'OPTIONS'), 204);
+    assert.deepStrictEqual(reports, []);
+});
+
+/**
+ * Builds a project whose Router.js reports tampering to /report with the "noop" policy and at most
+ * reportLimit reports per minute, and loads it with a navigator.sendBeacon collecting the reports.
+ * Returns the application of loadApplication, with the reports sent in beacons and the build id.
+ */
+async function loadReportingApplication(t, reportLimit) {
+    const project = path.join(createTempFolder(t), 'project');
+    const router = fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8')
+        .replace(/^( {2}policy: ).*$/m, '$1"noop",')
+        .replace(/^( {2}reportUrl: ).*$/m, '$1"/report",')
+        .replace(/^( {2}reportLimit: ).*$/m, `$1${reportLimit},`);
+    writeFiles(project, {
+        'index.html': '<html><body><script src="router/Router.js"></script><script src="app.js"></script></body></html>\n',
+        'router/Router.js': router,
+        'app.js': 'function start() {}\n'
+    });
+    await recompile(project, { logLevel: 'silent', cache: false, manifest: false });
+    const outDir = path.join(project, 'recompiled');
+    const application = loadApplication(outDir, ['app.js']);
+    const beacons = [];
+    Object.assign(application.context, {
+        Blob,
+        navigator: {
+            sendBeacon: (url, blob) => {
+                beacons.push(blob.text().then(text => ({ url, type: blob.type, report: JSON.parse(text) })));
+                return true;
+            }
+        }
+    });
+    application.context.location.origin = new URL(BASE_URL).origin;
+    await waitFor(() => application.logs.some(log => /Tutti gli hash combaciano/.test(log)));
+    const buildId = fs.readFileSync(path.join(outDir, 'router', 'Router.js'), 'utf8').match(/^const BUILD_ID = "(\w+)";/m)[1];
+    return { ...application, beacons, buildId };
+}
+
+test('Router.js sends each tampering report once', async t => {
+    const { run, beacons, buildId } = await loadReportingApplication(t, 10);
+    const refuse = file => assert.rejects(run(`routerForwardCall("AAAA", "${file}")`, 'test.js'));
+    await refuse('missing.js');
+    await refuse('missing.js');
+    await refuse('other.js');
+
+    const sent = await Promise.all(beacons);
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(sent[0].url, '/report');
+    assert.strictEqual(sent[0].type, 'text/plain;charset=utf-8');
+    const { time, ...report } = sent[0].report;
+    assert.ok(!isNaN(Date.parse(time)));
+    assert.deepStrictEqual(report, {
+        buildId, origin: new URL(BASE_URL).origin, page: BASE_URL + 'index.html', reason: 'missing-key-material',
+        file: 'missing.js', expectedHash: null, actualHash: null, message: 'No IV mapping found for missing.js'
+    });
+    assert.strictEqual(sent[1].report.file, 'other.js');
+});
+
+test('Router.js drops the reports beyond reportLimit', async t => {
+    const { run, beacons } = await loadReportingApplication(t, 2);
+    for (const file of ['a.js', 'b.js', 'c.js']) {
+        await assert.rejects(run(`routerForwardCall("AAAA", "${file}")`, 'test.js'));
+    }
+    const sent = await Promise.all(beacons);
+    assert.deepStrictEqual(sent.map(beacon => beacon.report.file), ['a.js', 'b.js']);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile, verify, BuildError } = require('../builder');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+const QUIET = { logLevel: 'silent', cache: false, manifest: false };
+
+/**
+ * Creates a project whose page loads lib.js and app.js, with the given app.js.
+ * Returns the project folder.
+ */
+function createProject(t, app) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': '<script src="router/Router.js"></script><script src="lib.js"></script><script src="app.js"></script>\n',
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'function helper(x) {\n    return x;\n}\nfunction format(x) {\n    return x;\n}\n',
+        'app.js': app
+    });
+    return project;
+}
+
+test('every form of routerForwardCall is encrypted, leaving the rest of the file as it is', async t => {
+    const app = [
+        'function start(x) {',
+        '    window.routerForwardCall("lib-helper-null-null", "app");',
+        '    routerForwardCall(`lib-helper-null-null`, `app`);',
+        '    window["routerForwardCall"](',
+        '        "lib-helper",',
+        '        "app",',
+        '        "a string with (parentheses) and \\"escapes\\""',
+        '    ); window["routerForwardCall"]("lib-helper-null-null", "app");',
+        '    window["routerForwardCall"]("lib-helper", "app", window["routerForwardCall"]("lib-format-null-null", "app"));',
+        '}',
+        ''
+    ].join('\n');
+    const project = createProject(t, app);
+    const result = await recompile(project, QUIET);
+    const output = fs.readFileSync(path.join(project, 'recompiled', 'app.js'), 'utf8');
+    const callString = '"[A-Za-z0-9+/=]{20,}"';
+    const expected = app
+        .replace(/"lib-[\w-]+"|`lib-[\w-]+`/g, 'CALL')
+        .replace(/"app"|`app`/g, '"app.js"');
+    assert.strictEqual(output.replace(new RegExp(callString, 'g'), 'CALL'), expected);
+    assert.strictEqual(Object.keys(result.ivsMapping['app.js']).length - 1, 6);
+    assert.deepStrictEqual((await verify(project, { logLevel: 'silent' })).failures, []);
+});
+
+test('a target or callee computed at runtime fails the build with its location', async t => {
+    const project = createProject(t, 'function start(name) {\n    window["routerForwardCall"]("lib-" + name, "app");\n' +
+        '    routerForwardCall(`lib-${name}-null-null`, "app");\n}\n');
+    await assert.rejects(recompile(project, QUIET), err => {
+        assert.ok(err instanceof BuildError);
+        assert.match(err.message, /app\.js:2:5/);
+        assert.match(err.message, /app\.js:3:5/);
+        return true;
+    });
+    assert.ok(!fs.existsSync(path.join(project, 'recompiled')));
+});
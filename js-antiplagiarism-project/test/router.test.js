@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile } = require('../builder');
+const { BASE_URL, createTempFolder, writeFiles, loadApplication, readRouterDeclaration, waitFor } = require('./helpers');
+
+const SCRIPTS = ['lib.js', 'app.js'];
+
+/**
+ * Builds a project whose app.js calls helper of lib.js from two call sites (start and again), helper
+ * recording its argument in window.calls and returning its double. tamperConfig replaces the properties of TAMPER_CONFIG in its Router.js.
+ * Returns its output folder.
+ */
+async function buildProject(t, tamperConfig = {}) {
+    const project = path.join(createTempFolder(t), 'project');
+    let router = fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8');
+    for (const name in tamperConfig) {
+        router = router.replace(new RegExp(`^(  ${name}: ).*?(,?)$`, 'm'), `$1${tamperConfig[name]}$2`);
+    }
+    writeFiles(project, {
+        'index.html': '<html><body><script src="router/Router.js"></script><script src="lib.js"></script>' +
+            '<script src="app.js"></script></body></html>\n',
+        'router/Router.js': router,
+        'lib.js': 'window.calls = [];\nfunction helper(x) {\n    window.calls.push(x);\n    return x * 2;\n}\n',
+        'app.js': 'function start(x) {\n    return window["routerForwardCall"]("lib-helper", "app", x);\n}\n' +
+            'function again(x) {\n    return window["routerForwardCall"]("lib-helper", "app", x);\n}\n'
+    });
+    await recompile(project, { logLevel: 'silent', cache: false, manifest: false });
+    return path.join(project, 'recompiled');
+}
+
+test('Router.js decrypts a call string, calls its function and resolves with its value', async t => {
+    const { context, run, errors } = loadApplication(await buildProject(t), SCRIPTS);
+    assert.strictEqual(await run('start(21)', 'test.js'), 42);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(Array.from(context.calls), [21]);
+});
+
+test('the Promise of routerForwardCall settles as the called function does', async t => {
+    const { context, run } = loadApplication(await buildProject(t), SCRIPTS);
+    context.helper = async x => x + 1;
+    assert.strictEqual(await run('start(1)', 'test.js'), 2);
+    context.helper = () => { throw new RangeError('helper failed'); };
+    await assert.rejects(run('start(1)', 'test.js'), error => error.name === 'RangeError' && error.message === 'helper failed');
+});
+
+test('routerForwardCall rejects with the error of a refused call', async t => {
+    const { context, run, warnings } = loadApplication(await buildProject(t, { policy: '"noop"' }), SCRIPTS);
+    await assert.rejects(run('routerForwardCall("AAAA", "missing.js")', 'test.js'), error =>
+        error.name === 'MissingMappingError' && error instanceof run('TamperError', 'test.js') &&
+        error.details.reason === 'missing-key-material' && error.details.file === 'missing.js');
+    context.helper = undefined;
+    await assert.rejects(run('start(1)', 'test.js'), error =>
+        error.name === 'UnknownFunctionError' && error.details.reason === 'unknown-function' && error.details.file === 'lib.js');
+    assert.deepStrictEqual(warnings, []);
+});
+
+test('a changed file of the dependency branch is reported and every call is refused', async t => {
+    const { context, run, warnings, overlays } = loadApplication(await buildProject(t), SCRIPTS);
+    context.globalHashes[BASE_URL + 'lib.js'] = '00'.repeat(32);
+    await waitFor(() => overlays.length > 0);
+    assert.ok(/^Mismatch per lib\.js/.test(warnings[0]), warnings[0]);
+
+    const refused = run('start(21)', 'test.js');
+    assert.strictEqual(warnings[1], warnings[0]);
+    await assert.rejects(refused, error => error.name === 'TamperError' && error.details.reason === 'hash-mismatch');
+    assert.strictEqual(overlays.length, 1);
+    assert.deepStrictEqual(Array.from(context.calls), []);
+});
+
+test('a changed IV makes the call fail authentication', async t => {
+    const outDir = await buildProject(t);
+    const routerFile = path.join(outDir, 'router', 'Router.js');
+    const ivsMapping = readRouterDeclaration(routerFile, 'IVS_MAPPING_BASE64');
+    for (const key in ivsMapping['app.js']) {
+        if (key !== 'salt') ivsMapping['app.js'][key] = Buffer.alloc(12).toString('base64');
+    }
+    const encoded = Buffer.from(JSON.stringify(ivsMapping)).toString('base64');
+    fs.writeFileSync(routerFile, fs.readFileSync(routerFile, 'utf8').replace(/^const IVS_MAPPING_BASE64 = "[^"]*";/m, `const IVS_MAPPING_BASE64 = "${encoded}";`));
+
+    const { context, run, warnings, overlays } = loadApplication(outDir, SCRIPTS);
+    await assert.rejects(run('start(21)', 'test.js'), error => error.name === 'DecryptionError' && error.details.reason === 'tampered-ciphertext');
+    assert.ok(/^Tampered ciphertext: the call from app\.js failed authentication/.test(warnings[0]), warnings[0]);
+    assert.strictEqual(overlays.length, 1);
+    assert.deepStrictEqual(Array.from(context.calls), []);
+});
+
+test('Router.js refuses a call string copied to another file', async t => {
+    const outDir = await buildProject(t);
+    const { context, run, warnings } = loadApplication(outDir, SCRIPTS);
+    const [callString] = fs.readFileSync(path.join(outDir, 'app.js'), 'utf8').match(/"[A-Za-z0-9+/=]{20,}"/);
+    run(`function copied(x) {\n    return window["routerForwardCall"](${callString}, "app.js", x);\n}\n`, 'lib.js');
+    await assert.rejects(run('copied(1)', 'test.js'), error => error.name === 'DecryptionError' && error.details.reason === 'wrong-caller');
+    assert.ok(warnings.some(warning => /^Refusing the call from lib\.js/.test(warning)), warnings.join('\n'));
+    assert.deepStrictEqual(Array.from(context.calls), []);
+
+    // From its own file, the call string still runs
+    assert.strictEqual(await run('start(2)', 'test.js'), 4);
+    assert.deepStrictEqual(Array.from(context.calls), [2]);
+});
+
+/**
+ * Asserts that a routerForwardCall Promise rejects as a call made from the wrong file or call site.
+ */
+async function assertWrongCaller(promise, file) {
+    await assert.rejects(promise, error => {
+        assert.strictEqual(error.name, 'DecryptionError');
+        assert.strictEqual(error.details.reason, 'wrong-caller');
+        assert.strictEqual(error.details.file, file);
+        return true;
+    });
+}
+
+test('Router.js refuses a call string moved to another call site of its file', async t => {
+    const outDir = await buildProject(t, { policy: '"noop"' });
+    const { context, run } = loadApplication(outDir, SCRIPTS);
+    assert.strictEqual(await run('again(5)', 'test.js'), 10);
+
+    // app.js as if its two call strings had been swapped
+    const [first, second] = fs.readFileSync(path.join(outDir, 'app.js'), 'utf8').match(/"[A-Za-z0-9+/=]{20,}"/g);
+    const swapped = fs.readFileSync(path.join(outDir, 'app.js'), 'utf8')
+        .replace(first, '"FIRST"').replace(second, first).replace('"FIRST"', second);
+    run(swapped, 'app.js');
+    await assertWrongCaller(run('start(1)', 'test.js'), 'app.js');
+    await assertWrongCaller(run('again(1)', 'test.js'), 'app.js');
+    // Nor does it run outside any call site of the file
+    await assertWrongCaller(run(`\n\n\n\n\n\n\n\nwindow["routerForwardCall"](${first}, "app.js", 1)`, 'app.js'), 'app.js');
+    assert.deepStrictEqual(Array.from(context.calls), [5]);
+});
+
+test('Router.js refuses the calls made from outside the files of the application', async t => {
+    const outDir = await buildProject(t, { policy: '"noop"' });
+    const { context, run } = loadApplication(outDir, SCRIPTS);
+    const [callString] = fs.readFileSync(path.join(outDir, 'app.js'), 'utf8').match(/"[A-Za-z0-9+/=]{20,}"/);
+    await assertWrongCaller(run(`window["routerForwardCall"](${callString}, "app.js", 1)`, 'https://copy.example/app.js'), null);
+    assert.deepStrictEqual(Array.from(context.calls), []);
+});
+
+test('the refused calls are already reported and do not reject unhandled', async t => {
+    const unhandled = [];
+    const onUnhandled = error => unhandled.push(error);
+    process.on('unhandledRejection', onUnhandled);
+    t.after(() => process.off('unhandledRejection', onUnhandled));
+
+    const { context, run, warnings } = loadApplication(await buildProject(t), SCRIPTS);
+    run('routerForwardCall("AAAA", "missing.js");', 'test.js');
+    context.globalHashes[BASE_URL + 'lib.js'] = '00'.repeat(32);
+    await waitFor(() => warnings.length > 1);
+    run('start(1);', 'test.js');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(warnings.length, 3);
+    assert.deepStrictEqual(unhandled, []);
+});
+
+test('each page of a site with several pages only requires the hashes of its own scripts', async t => {
+    const outDir = await buildProject(t);
+    writeFiles(path.join(outDir, '..'), {
+        'other.html': '<html><body><script src="router/Router.js"></script><script src="other.js"></script></body></html>\n',
+        'other.js': 'function other() {}\n'
+    });
+    await recompile(path.join(outDir, '..'), { logLevel: 'silent', cache: false, manifest: false });
+    const pageHashes = readRouterDeclaration(path.join(outDir, 'router', 'Router.js'), 'PAGE_HASHES_BASE64');
+    assert.deepStrictEqual(pageHashes['index.html'].scripts, ['lib.js', 'app.js']);
+    assert.deepStrictEqual(pageHashes['other.html'].scripts, ['other.js']);
+
+    for (const [page, scripts] of [['index.html', SCRIPTS], ['other.html', ['other.js']]]) {
+        const { logs, warnings, overlays } = loadApplication(outDir, scripts, { page });
+        await waitFor(() => logs.length > 0 || warnings.length > 0);
+        assert.deepStrictEqual(warnings, [], page);
+        assert.strictEqual(overlays.length, 0, page);
+    }
+
+    // A page still requires the scripts it loads
+    const { context, warnings } = loadApplication(outDir, ['other.js'], { page: 'other.html' });
+    context.globalHashes[BASE_URL + 'other.js'] = '00'.repeat(32);
+    await waitFor(() => warnings.length > 0);
+    assert.match(warnings[0], /^Mismatch per other\.js/);
+});
+
+test('the "callback" tamper policy passes the details to onTamper, without overlay', async t => {
+    const outDir = await buildProject(t, { policy: '"callback"', onTamper: 'details => window.tampers.push(details)' });
+    const { context, run, warnings, overlays } = loadApplication(outDir, SCRIPTS);
+    context.tampers = [];
+    context.globalHashes[BASE_URL + 'lib.js'] = '00'.repeat(32);
+    await waitFor(() => context.tampers.length > 0);
+    const expectedHash = readRouterDeclaration(path.join(outDir, 'router', 'Router.js'), 'PRECOMPUTED_HASHES_BASE64')['lib.js'];
+    assert.deepStrictEqual({ ...context.tampers[0], message: undefined }, {
+        reason: 'hash-mismatch', message: undefined, file: 'lib.js', expectedHash, actualHash: '00'.repeat(32)
+    });
+
+    await assert.rejects(run('start(21)', 'test.js'));
+    assert.strictEqual(context.tampers.length, 2);
+    assert.strictEqual(context.tampers[1].reason, 'hash-mismatch');
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(overlays.length, 0);
+    assert.deepStrictEqual(Array.from(context.calls), []);
+});
+
+test('the "redirect" and "noop" tamper policies', async t => {
+    const redirected = loadApplication(await buildProject(t, { policy: '"redirect"', redirectUrl: '"/tampered.html"' }), SCRIPTS);
+    const urls = [];
+    redirected.context.location.replace = url => urls.push(url);
+    delete redirected.context.globalHashes[BASE_URL + 'lib.js'];
+    await waitFor(() => urls.length > 0);
+    assert.deepStrictEqual(urls, ['/tampered.html']);
+    assert.strictEqual(redirected.overlays.length, 0);
+
+    const ignored = loadApplication(await buildProject(t, { policy: '"noop"' }), SCRIPTS);
+    ignored.context.globalHashes[BASE_URL + 'lib.js'] = '00'.repeat(32);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await assert.rejects(ignored.run('start(21)', 'test.js'));
+    assert.deepStrictEqual(ignored.warnings, []);
+    assert.strictEqual(ignored.overlays.length, 0);
+    assert.deepStrictEqual(Array.from(ignored.context.calls), []);
+});
+
+test('the "throw" tamper policy rejects a refused call with its error', async t => {
+    const { context, run, logs } = loadApplication(await buildProject(t, { policy: '"throw"' }), SCRIPTS);
+    await waitFor(() => logs.some(log => /Tutti gli hash combaciano/.test(log)));
+    await assert.rejects(run('routerForwardCall("AAAA", "missing.js")', 'test.js'), error =>
+        error.name === 'MissingMappingError' && error.details.reason === 'missing-key-material' && error.details.file === 'missing.js');
+    assert.deepStrictEqual(Array.from(context.calls), []);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SourceMap } = require('module');
+const { recompile, verify } = require('../builder');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+const APP = 'function start(value) {\n    window["routerForwardCall"]("lib-helper", "app", value); marker(value);\n}\nfunction marker(value) {}\n';
+
+/**
+ * Builds a project with source maps (and minified, with minify) whose app.js calls helper of lib.js.
+ * Returns the project folder.
+ */
+async function buildProject(t, minify = false) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': '<script src="router/Router.js"></script><script src="lib.js"></script><script src="app.js"></script>\n',
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'function helper(value) {}\n',
+        'app.js': APP
+    });
+    await recompile(project, { logLevel: 'silent', cache: false, manifest: false, sourceMaps: true, minify });
+    return project;
+}
+
+/**
+ * Returns the source position ({ line, column }, 0-based) the map of app.js gives for the
+ * call to marker in the recompiled app.js.
+ */
+function findMarkerSource(project) {
+    const outDir = path.join(project, 'recompiled');
+    const output = fs.readFileSync(path.join(outDir, 'app.js'), 'utf8');
+    assert.match(output, /\n\/\/# sourceMappingURL=app\.js\.map\n$/);
+    const map = JSON.parse(fs.readFileSync(path.join(outDir, 'app.js.map'), 'utf8'));
+    assert.strictEqual(map.version, 3);
+    assert.deepStrictEqual(map.sources, ['../app.js']);
+    assert.strictEqual(map.sourcesContent, undefined);
+    assert.ok(!JSON.stringify(map).includes('lib-helper'));
+
+    const offset = output.indexOf('marker(');
+    const lines = output.slice(0, offset).split('\n');
+    const entry = new SourceMap(map).findEntry(lines.length - 1, lines[lines.length - 1].length);
+    return { line: entry.originalLine, column: entry.originalColumn };
+}
+
+test('the source map of a script leads back to its source after the call strings are encrypted', async t => {
+    const project = await buildProject(t);
+    assert.deepStrictEqual(findMarkerSource(project), { line: 1, column: APP.split('\n')[1].indexOf('marker(') });
+    // The comment referencing the map is part of the hashed bytes
+    assert.deepStrictEqual((await verify(project, { logLevel: 'silent' })).failures, []);
+});
+
+test('the source map of a minified script leads back to its source', async t => {
+    const project = await buildProject(t, true);
+    assert.deepStrictEqual(findMarkerSource(project), { line: 1, column: APP.split('\n')[1].indexOf('marker(') });
+    assert.deepStrictEqual((await verify(project, { logLevel: 'silent' })).failures, []);
+});
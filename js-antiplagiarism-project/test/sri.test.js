@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { recompile, verify } = require('../builder');
+const { addIntegrityAttributes } = require('../builder/html');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+test('addIntegrityAttributes rewrites the script and checked link tags only', () => {
+    const html = '<link rel="stylesheet" href="a.css"/><link rel="icon" href="icon.png">' +
+        '<script src="a.js" integrity="sha256-old"></script><script>inline();</script>' +
+        '<script src="b.js" crossorigin="use-credentials"></script><!-- <script src="c.js"></script> -->';
+    const { content, tags } = addIntegrityAttributes(html, url => `sha256-${url}`);
+    assert.strictEqual(tags, 3);
+    assert.strictEqual(content,
+        '<link rel="stylesheet" href="a.css" integrity="sha256-a.css" crossorigin="anonymous"/><link rel="icon" href="icon.png">' +
+        '<script src="a.js" integrity="sha256-a.js" crossorigin="anonymous"></script><script>inline();</script>' +
+        '<script src="b.js" crossorigin="use-credentials" integrity="sha256-b.js"></script><!-- <script src="c.js"></script> -->');
+});
+
+test('--sri adds integrity and crossorigin only to the local tags, never to the Router.js tag', async t => {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': '<html><head><link rel="stylesheet" href="style.css"></head><body>\n' +
+            '<script src="https://cdn.example.com/lib.js"></script>\n' +
+            '<script src="router/Router.js"></script>\n<script src="lib.js"></script>\n<script src="app.js"></script>\n</body></html>\n',
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib.js': 'function helper(x) {}\n',
+        'app.js': 'function start(x) {\n    window["routerForwardCall"]("lib-helper", "app", x);\n}\n',
+        'style.css': 'body { color: black; }\n'
+    });
+    const result = await recompile(project, { logLevel: 'silent', cache: false, manifest: false, sri: true });
+    assert.deepStrictEqual(result.integrityPages, [path.join(project, 'index.html')]);
+
+    const outDir = path.join(project, 'recompiled');
+    const html = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+    const integrity = file => 'sha256-' + crypto.createHash('sha256').update(fs.readFileSync(path.join(outDir, file))).digest('base64');
+    assert.ok(html.includes(`<link rel="stylesheet" href="style.css" integrity="${integrity('style.css')}" crossorigin="anonymous">`), html);
+    assert.ok(html.includes(`<script src="lib.js" integrity="${integrity('lib.js')}" crossorigin="anonymous"></script>`), html);
+    assert.ok(html.includes(`<script src="app.js" integrity="${integrity('app.js')}" crossorigin="anonymous"></script>`), html);
+    assert.ok(html.includes('<script src="https://cdn.example.com/lib.js"></script>'), html);
+    assert.ok(html.includes('<script src="router/Router.js"></script>'), html);
+
+    // Router.js declares the hash of the page with its integrity attributes
+    const report = await verify(project, { logLevel: 'silent' });
+    assert.deepStrictEqual(report.failures, []);
+});
+
+test('without --sri the pages are left as they are', async t => {
+    const project = path.join(createTempFolder(t), 'project');
+    const page = '<html><body><script src="router/Router.js"></script><script src="app.js"></script></body></html>\n';
+    writeFiles(project, {
+        'index.html': page,
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'app.js': 'function start() {}\n'
+    });
+    const result = await recompile(project, { logLevel: 'silent', cache: false, manifest: false });
+    assert.deepStrictEqual(result.integrityPages, []);
+    assert.strictEqual(fs.readFileSync(path.join(project, 'recompiled', 'index.html'), 'utf8'), page);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { recompile, verify } = require('../builder');
+const { createTempFolder, writeFiles, runCli } = require('./helpers');
+
+const QUIET = { logLevel: 'silent', cache: false, manifest: false };
+
+/**
+ * Creates and recompiles a project whose page loads b.js, calling c.js through routerForwardCall
+ * (twice, from two call sites, with twoSites). Returns the project folder.
+ */
+async function buildProject(t, twoSites = false) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'index.html': '<script src="router/Router.js"></script><script src="b.js"></script>\n',
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'b.js': 'function b() {\n    window["routerForwardCall"]("c-c-null-null", "b");\n}\n' +
+            (twoSites ? 'function b2() {\n    window["routerForwardCall"]("c-c-null-null", "b");\n}\n' : ''),
+        'c.js': 'function c() {}\n'
+    });
+    await recompile(project, QUIET);
+    return project;
+}
+
+test('a recompiled folder verifies', async t => {
+    const project = await buildProject(t);
+    const report = await verify(project, { logLevel: 'silent' });
+    assert.deepStrictEqual(report.failures, []);
+    assert.strictEqual(report.checkedCalls, 1);
+    assert.strictEqual(report.checkedFiles, 3);
+});
+
+test('a changed file and the calls keyed with its hash are reported', async t => {
+    const project = await buildProject(t);
+    fs.appendFileSync(path.join(project, 'recompiled', 'c.js'), '// changed\n');
+    const report = await verify(project, { logLevel: 'silent' });
+    assert.deepStrictEqual(report.failures.map(failure => failure.location), ['c.js', 'b.js:2:5']);
+    assert.match(report.failures[0].message, /differs from the one expected by Router\.js/);
+    assert.match(report.failures[1].message, /does not decrypt with the key of b\.js: tampered ciphertext: .* \(changed files in its branch: c\.js\)$/);
+});
+
+test('a call string moved to another call site of its file is reported', async t => {
+    const project = await buildProject(t, true);
+    const file = path.join(project, 'recompiled', 'b.js');
+    const content = fs.readFileSync(file, 'utf8');
+    const [first, second] = content.match(/"[A-Za-z0-9+/=]{20,}"/g);
+    fs.writeFileSync(file, content.replace(first, '"FIRST"').replace(second, first).replace('"FIRST"', second));
+
+    const report = await verify(project, { logLevel: 'silent' });
+    const calls = report.failures.filter(failure => failure.location !== 'b.js');
+    assert.deepStrictEqual(calls.map(failure => failure.location), ['b.js:2:5', 'b.js:5:5']);
+    assert.strictEqual(calls[0].message, 'is bound to call site #2 of b.js, not to this one (#1)');
+});
+
+test('a call site moved from where CALL_SITES_BASE64 declares it is reported', async t => {
+    const project = await buildProject(t);
+    const file = path.join(project, 'recompiled', 'b.js');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('    window', '        window'));
+
+    const report = await verify(project, { logLevel: 'silent' });
+    assert.ok(report.failures.some(failure => failure.location === 'b.js' &&
+        failure.message === 'its routerForwardCall sites are not where CALL_SITES_BASE64 declares them: Router.js would refuse its calls'),
+    report.failures.map(failure => failure.message).join('\n'));
+});
+
+test('the verify command exits with code 1 listing the problems', async t => {
+    const project = await buildProject(t);
+    let result = runCli(['verify', project]);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    fs.appendFileSync(path.join(project, 'recompiled', 'c.js'), '// changed\n');
+    result = runCli(['verify', project]);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout + result.stderr, /^b\.js:2:5: does not decrypt/m);
+    assert.match(result.stdout + result.stderr, /Verification failed: 2 problems found/);
+});
+
+test('the sample output folder verifies against the committed sources', async () => {
+    const sample = path.join(__dirname, '..', 'websitecode');
+    const report = await verify(sample, { logLevel: 'silent' });
+    assert.deepStrictEqual(report.failures, []);
+    // Every copied file is the source as committed, byte for byte (line endings included)
+    for (const file of ['file1.js', 'main.html', 'testdep2/testdep3/unfilejsqualunque.js']) {
+        assert.ok(fs.readFileSync(path.join(sample, 'recompiled', file)).equals(fs.readFileSync(path.join(sample, file))), file);
+    }
+});
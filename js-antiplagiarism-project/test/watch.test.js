@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { watch } = require('../builder');
+const { createTempFolder, writeFiles } = require('./helpers');
+
+/**
+ * Starts watching a project where lib/a.js calls helper of lib/b.js through routerForwardCall.
+ * Returns { project, nextBuild } where nextBuild() resolves with { err, result, changedFiles }
+ * of the next rebuild; the watcher is closed when the test ends.
+ * With recursive false, fs.watch fails to watch folders recursively, as on Linux before Node 20.
+ */
+function watchProject(t, recursive = true) {
+    const project = path.join(createTempFolder(t), 'project');
+    writeFiles(project, {
+        'router/Router.js': fs.readFileSync(path.join(__dirname, '..', 'websitecode', 'router', 'Router.js'), 'utf8'),
+        'lib/a.js': 'function start() {\n    window["routerForwardCall"]("b-helper-null-null", "a");\n}\n',
+        'lib/b.js': 'function helper() {}\n'
+    });
+    if (!recursive) {
+        const fsWatch = fs.watch;
+        t.mock.method(fs, 'watch', (folder, ...args) => {
+            if (typeof args[0] === 'object' && args[0].recursive) {
+                throw Object.assign(new TypeError('The feature watch recursively is unavailable on the current platform'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+            }
+            return fsWatch(folder, ...args);
+        });
+    }
+    const builds = [];
+    let waiting = null;
+    const watcher = watch(project, { logLevel: 'silent', watchDebounce: 50 }, (err, result, changedFiles) => {
+        builds.push({ err, result, changedFiles });
+        if (waiting) waiting();
+    });
+    t.after(() => watcher.close());
+    const nextBuild = () => new Promise(resolve => {
+        waiting = () => {
+            waiting = null;
+            resolve(builds.shift());
+        };
+        if (builds.length > 0) waiting();
+    });
+    return { project, nextBuild };
+}
+
+test('a burst of changes triggers a single rebuild of the changed branch', async t => {
+    const { project, nextBuild } = watchProject(t);
+    // Let the watcher start before changing the files
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.appendFileSync(path.join(project, 'lib', 'b.js'), 'function other() {}\n');
+    fs.appendFileSync(path.join(project, 'lib', 'b.js'), 'function another() {}\n');
+
+    const { err, result, changedFiles } = await nextBuild();
+    assert.ifError(err);
+    assert.deepStrictEqual(changedFiles, [path.join(project, 'lib', 'b.js')]);
+    assert.deepStrictEqual(result.rekeyedFiles, [path.join(project, 'lib', 'a.js')]);
+    assert.match(fs.readFileSync(path.join(project, 'recompiled', 'lib', 'b.js'), 'utf8'), /another/);
+
+    // Writing the output folder and the build cache does not trigger another rebuild
+    const next = await Promise.race([nextBuild(), new Promise(resolve => setTimeout(resolve, 300))]);
+    assert.strictEqual(next, undefined);
+});
+
+test('changes to the project secret do not trigger a rebuild', async t => {
+    const { project, nextBuild } = watchProject(t);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.writeFileSync(path.join(project, '.antiplagiarism-secret'), 'secret\n');
+
+    const next = await Promise.race([nextBuild(), new Promise(resolve => setTimeout(resolve, 300))]);
+    assert.strictEqual(next, undefined);
+});
+
+test('without recursive watching every folder is watched, including the ones created later', async t => {
+    const { project, nextBuild } = watchProject(t, false);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.appendFileSync(path.join(project, 'lib', 'b.js'), 'function other() {}\n');
+    let { err, changedFiles } = await nextBuild();
+    assert.ifError(err);
+    assert.deepStrictEqual(changedFiles, [path.join(project, 'lib', 'b.js')]);
+
+    fs.mkdirSync(path.join(project, 'lib', 'more'));
+    ({ err } = await nextBuild());
+    assert.ifError(err);
+    fs.writeFileSync(path.join(project, 'lib', 'more', 'c.js'), 'function c() {}\n');
+    ({ err, changedFiles } = await nextBuild());
+    assert.ifError(err);
+    assert.ok(changedFiles.includes(path.join(project, 'lib', 'more', 'c.js')), changedFiles.join('\n'));
+    assert.ok(fs.existsSync(path.join(project, 'recompiled', 'lib', 'more', 'c.js')));
+});
@@ -7,7 +7,8 @@ window.addEventListener("message", (event) => {
 		let parts = event.data.url.split("/"); 
 		let filename = parts[parts.length - 1];
 		
-		window.globalHashes[filename] = event.data.hash;
+		// Keyed by URL: files with the same name in different folders must not overwrite each other
+		window.globalHashes[event.data.url] = event.data.hash;
         console.log("🔹 Hash of "+filename+" received:", event.data.hash);
         
     }
@@ -4,7 +4,7 @@ document.getElementById("btn2").addEventListener("click", function() {
     let num2 = 10;
     let somma = num1 + num2;
     document.getElementById("output").textContent = "La somma è: " + somma;
-	window["routerForwardCall"]("V+vHNiBdbvYANY9YvsmIzwR5LKYB6RKPAB+S9yUxTgY=", "file2", somma);
+	window["routerForwardCall"]("A7d6ECNQ46fwHqbbuXPTW2Wu8KkdJjdh4ooOL4Vo1lfHWHkGuJnwJPiFR0GUepMFENlu9+p3ufUfVEma3vmPvAC+mU10neLU5/R7nivTrqCPvp9sOcGSfaXZHB6Bzv9d9ecqnqWcKMM=","file2.js", somma);
 });
 
 document.getElementById("bottone3").addEventListener("click", function() {
@@ -17,9 +17,9 @@ document.getElementById("bottone3").addEventListener("click", function() {
 	// ✅ Usa `innerHTML` invece di `textContent`
 	document.getElementById("output").innerHTML = outputText;
 	
-	window["routerForwardCall"]("TLjjwIY6wcXnIWmFXHU33h9m0ZzXmxnxYmaGwUiHUXc=", "file2")
+	window["routerForwardCall"]("A/plxqhC0jOeEWYJGaBd1sPeFHa329p/nucF5ukxCPEoco346OEa+R5t5fHOqsmJj+fzx4rU8j00QEZVGSJ4CgVnM2mbuPl6Eab9EEBtQ2OCMVnby9kS1Ej4vA==", "file2.js")
 	
-	window["routerForwardCall"]("Vrf82cGhgvG4fPrJzMLIEQmESgR4TwHcyqsrxanKQSk=", "file2")
+	window["routerForwardCall"]("A6c5Bwn79mM6uQ/miiW6SpNRWvNMbMLteFNggao4bD90itRxsfTOYTut1OTJISR4LcoYlFC8/6YJmTgjjlbQvUVHORS5mq+cQoxgayGqPngI4h6mHzX+DYTcpUjuIauo+3kU", "file2.js")
 
 });
 
@@ -4,5 +4,5 @@ function funzioneDiFile3() {
 }
 
 function funzioneDiFile3numero2(){	
-	window["routerForwardCall"]("hR42JZz5hnG+jQo4SxJ9+nuGB32ihXCkTG4RIp+Wo3I=", "file3");
+	window["routerForwardCall"]("AxRCxB+N2tZweIHoIzgj9ud+zjV/jMLnjW+3SFYKo2KFgwZkgFwFP1EMTB0jHkH+kAPRR3yym/vJYJR1ET6MOxPVcwYhCGFsjazWMeu1fnwekna8c4Y=", "file3.js");
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
 function funzioneDiFile4() {
   console.log("File4 test");
-  window["routerForwardCall"]("B6lLDAyANgsDDF4t2A8OMVeGqbOotzi2S4hpdjG/0mn8di0BDzrk78JapT8Kp9mp", "file4");
+  window["routerForwardCall"]("A1Amy2AsIp0ncZy6AZyu8+pAZo+bIgBi/mJxVOLuaG0rhhcCfWr5gW3vB/0CS15/f7hPSjGKGemRrekvQqx6ZtqCjXVAqs8vPnBIswtlpBNU7X+hTK8bDkLU0fXIXCFY1V1l0ZFpVixiZA==", "testdep/file4.js");
 }
\ No newline at end of file
@@ -1,26 +1,221 @@
 
 
+// Version of the ciphertext format this router decrypts (AES-256-GCM, see builder/encryption.js)
+const CIPHERTEXT_VERSION = 3;
+
+/**
+ * How the application reacts to tampering: a file, page, inline script or asset whose hash differs
+ * from the one of the build, hashes the extension did not provide, or a routerForwardCall that cannot
+ * be trusted (tampered ciphertext, call from another file, missing key material...).
+ * Edit it in the Router.js of your project: the builder keeps it when it updates the declarations.
+ *  - policy: "overlay" (the default) covers the page with an overlay showing overlayTitle and
+ *    overlayMessage; "throw" throws the error (see createTamperError); "noop" silently does nothing;
+ *    "redirect" sends the browser to redirectUrl; "callback" calls onTamper(details).
+ *    An unknown policy, a "redirect" without redirectUrl or a "callback" without onTamper fall back
+ *    to the overlay.
+ *  - details: { reason, message, file, expectedHash, actualHash }, where reason is one of
+ *    "hashes-unavailable", "hash-mismatch", "unknown-page", "page-mismatch", "inline-script-mismatch",
+ *    "asset-mismatch", "missing-key-material", "unsupported-version", "tampered-ciphertext",
+ *    "wrong-caller", "decryption-failed", "invalid-call" and "unknown-function", file is the path of
+ *    the file concerned (relative to the application) and the hashes are null when they do not apply.
+ * Whatever the policy, Router.js fails closed: a call that fails is never made (the Promise returned
+ * by routerForwardCall rejects with the error) and, once the hashes failed verification, every
+ * routerForwardCall is refused and reported with the same details.
+ * With reportUrl, every tampering is also reported to that URL (see sendTamperReport), at most
+ * reportLimit times per reportInterval milliseconds.
+ */
+const TAMPER_CONFIG = {
+  policy: "overlay",
+  redirectUrl: "",
+  onTamper: null,
+  reportUrl: "",
+  reportLimit: 10,
+  reportInterval: 60000,
+  overlayTitle: "⚠️ Codice Alterato",
+  overlayMessage: "Il contenuto della pagina o di uno o più file dell'applicazione è stato modificato."
+};
+
+/**
+ * Error of a tampering, thrown by the "throw" tamper policy and rejecting the Promise of a refused
+ * routerForwardCall: details holds the details of the tampering (see TAMPER_CONFIG).
+ * The failures of a call have their own subclasses (see createTamperError).
+ */
+class TamperError extends Error {
+  constructor(details) {
+    super(details.message);
+    this.name = this.constructor.name;
+    this.details = details;
+  }
+}
+
+/**
+ * The IV mapping, salt, dependency branch or IV of a call is missing ("missing-key-material").
+ */
+class MissingMappingError extends TamperError {}
+
+/**
+ * The call string of a call does not decrypt, or was encrypted for another file ("unsupported-version",
+ * "tampered-ciphertext", "wrong-caller" and "decryption-failed").
+ */
+class DecryptionError extends TamperError {}
+
+/**
+ * The function named by a decrypted call string does not exist ("unknown-function").
+ */
+class UnknownFunctionError extends TamperError {}
+
+/**
+ * Creates the error of a tampering: a MissingMappingError, DecryptionError or UnknownFunctionError
+ * for the failures of a call, a TamperError otherwise.
+ */
+function createTamperError(details) {
+  const errorClasses = {
+    "missing-key-material": MissingMappingError,
+    "unsupported-version": DecryptionError,
+    "tampered-ciphertext": DecryptionError,
+    "wrong-caller": DecryptionError,
+    "decryption-failed": DecryptionError,
+    "unknown-function": UnknownFunctionError
+  };
+  const ErrorClass = errorClasses[details.reason] || TamperError;
+  return new ErrorClass(details);
+}
+
+// Details of the failed verification of the hashes, after which every call is refused
+let hashVerificationFailure = null;
+
+// Tampering reports already sent (see sendTamperReport), and the times of the recent ones
+const sentTamperReports = new Set();
+let recentTamperReportTimes = [];
+
+/**
+ * Sends a tampering report to TAMPER_CONFIG.reportUrl with navigator.sendBeacon, as JSON:
+ * { buildId, origin, page, reason, file, expectedHash, actualHash, message, time }, where buildId is
+ * the BUILD_ID of the build and page the URL of the page without query string and fragment.
+ * The body is sent as text/plain, which needs no CORS preflight, so that the endpoint also receives
+ * the reports of the copies of the application running on other origins. The same report is only
+ * sent once per page, and the reports beyond TAMPER_CONFIG.reportLimit per reportInterval are dropped.
+ */
+function sendTamperReport(details) {
+  if (!TAMPER_CONFIG.reportUrl) return;
+  const report = {
+    buildId: typeof BUILD_ID !== "undefined" ? BUILD_ID : null,
+    origin: window.location.origin,
+    page: window.location.href.split(/[?#]/)[0],
+    reason: details.reason,
+    file: details.file,
+    expectedHash: details.expectedHash,
+    actualHash: details.actualHash,
+    message: details.message
+  };
+  const reportKey = JSON.stringify(report);
+  if (sentTamperReports.has(reportKey)) return;
+  const now = Date.now();
+  recentTamperReportTimes = recentTamperReportTimes.filter(time => now - time < TAMPER_CONFIG.reportInterval);
+  if (recentTamperReportTimes.length >= TAMPER_CONFIG.reportLimit) return;
+  sentTamperReports.add(reportKey);
+  recentTamperReportTimes.push(now);
+
+  report.time = new Date(now).toISOString();
+  const body = JSON.stringify(report);
+  try {
+    if (navigator.sendBeacon && navigator.sendBeacon(TAMPER_CONFIG.reportUrl, new Blob([body], { type: "text/plain;charset=UTF-8" }))) return;
+    // Beacon rifiutato (ad es. coda piena) o non supportato
+    fetch(TAMPER_CONFIG.reportUrl, { method: "POST", body: body, mode: "no-cors", keepalive: true }).catch(() => {});
+  } catch (err) {
+    // L'invio del report non deve impedire la reazione alla manomissione
+  }
+}
+
+/**
+ * Reports tampering with the policy of TAMPER_CONFIG (see there for the details), after sending it
+ * to TAMPER_CONFIG.reportUrl.
+ * Returns the error of the tampering (see createTamperError), which the "throw" policy throws.
+ */
+function reportTamper(details) {
+  details = Object.assign({ file: null, expectedHash: null, actualHash: null }, details);
+  sendTamperReport(details);
+  const error = createTamperError(details);
+  switch (TAMPER_CONFIG.policy) {
+    case "noop":
+      return error;
+    case "throw":
+      throw error;
+    case "redirect":
+      if (TAMPER_CONFIG.redirectUrl) {
+        window.location.replace(TAMPER_CONFIG.redirectUrl);
+        return error;
+      }
+      break;
+    case "callback":
+      if (typeof TAMPER_CONFIG.onTamper === "function") {
+        TAMPER_CONFIG.onTamper(details);
+        return error;
+      }
+      break;
+  }
+  console.warn(details.message);
+  showTamperOverlay();
+  return error;
+}
+
 /**
  * Router Forward Call function for browser.
  *
  * Receives an encrypted callString (encrypted and base64 encoded) and a 'callee'
  * string (the second parameter that indicates which dependency branch to use).
  *
- * It decodes the global objects DEPENDENCY_TREE_BASE64 and IVS_MAPPING_BASE64,
- * reconstructs the encryption key by XORing the hashes of all non-router-dependent files in the branch,
- * then XORs that result with the "mask" provided in the IVS mapping for the callee,
+ * It decodes the global objects DEPENDENCY_TREE_BASE64 and IVS_MAPPING_BASE64 (keyed by the paths
+ * of the files relative to the project, e.g. "testdep/file4.js"),
+ * derives the encryption key from the hashes of all non-router-dependent files in the branch and the
+ * "salt" provided in the IVS mapping for the callee, with the KEY_DERIVATION scheme of the build
+ * (HKDF-SHA-256, or the XOR with a "mask" for the builds that do not declare it),
  * looks up the corresponding IV for the callString,
- * and finally uses the final key and IV to decrypt the callString (via AES-256-CBC).
- * The decrypted plaintext is parsed as JSON and used to call the specified function.
+ * and finally uses the final key and IV to authenticate and decrypt the callString (via AES-256-GCM,
+ * with the version byte and the callee as associated data): a tampered ciphertext, or one encrypted
+ * for another callee, is reported as such and nothing is called.
+ * The decrypted plaintext is parsed as JSON: it holds the call string, used to call the specified
+ * function, and the file and call site the call string was encrypted for. The call is refused when
+ * they are not the file and the call site invoking routerForwardCall, as read from the call stack
+ * (the call site is the one of CALL_SITES_BASE64 containing the line and column of the stack frame),
+ * so that an encrypted call string copied to another file, or to another call of the same file,
+ * does not run; so is a call made from outside the files of the application (an inline script,
+ * eval or the console), whose stack frame names none of them.
+ *
+ * Returns a Promise resolving with the return value of the called function (awaited when it is a
+ * Promise itself) or rejecting with the error it throws. Every failure is reported with reportTamper
+ * and, whatever the tamper policy, nothing is called and the Promise rejects with its error (see
+ * createTamperError): a MissingMappingError, a DecryptionError, an UnknownFunctionError or, for the
+ * calls refused after a failed verification of the hashes and the invalid call strings, a TamperError.
+ * Callers ignoring the Promise keep working as before: since a refused call has already been reported,
+ * its rejection is marked as handled, so that it does not also show up as an unhandled rejection
+ * (except with the "throw" policy, whose purpose is to let the error propagate). The errors thrown by
+ * the called function are left to the caller, as with any other Promise.
  *
  */
 function routerForwardCall(callString, callee, ...args) {
-  // Ensure callee ends with ".js"
-  let fileKey = callee;
-  if (!fileKey.endsWith(".js")) {
-    fileKey += ".js";
+  const forwarded = forwardCall(callString, callee, ...args).catch(err => {
+    if (err instanceof TamperError && TAMPER_CONFIG.policy !== "throw") {
+      forwarded.catch(() => {});
+    }
+    throw err;
+  });
+  return forwarded;
+}
+
+// Fa la chiamata di routerForwardCall (vedi sopra), restituendo una Promise che viene rifiutata
+// con l'errore della manomissione quando la chiamata è rifiutata
+async function forwardCall(callString, callee, ...args) {
+  if (hashVerificationFailure) {
+    throw reportTamper(hashVerificationFailure);
   }
 
+  // The stack frame invoking routerForwardCall, to be compared with the file and the call site the
+  // call string was encrypted for
+  const invokingFrame = getInvokingFrame();
+  // Whether the decrypted call was made
+  let called = false;
+
   // Decode the global dependency tree and IV mapping from base64
   const dependencyTreeJSON = window.atob(DEPENDENCY_TREE_BASE64);
   const dependencyTree = JSON.parse(dependencyTreeJSON);
@@ -28,110 +223,201 @@ function routerForwardCall(callString, callee, ...args) {
   const ivsMappingJSON = window.atob(IVS_MAPPING_BASE64);
   const ivsMapping = JSON.parse(ivsMappingJSON);
 
+  // The builder passes the path of the callee relative to the project (e.g. "testdep/file4.js");
+  // ensure a hand-written callee ends with ".js" (or ".mjs" for ES modules)
+  let fileKey = callee;
+  if (!fileKey.endsWith(".js") && !fileKey.endsWith(".mjs")) {
+    fileKey += (fileKey + ".mjs") in ivsMapping ? ".mjs" : ".js";
+  }
+
   // Retrieve the mapping for the file indicated by 'callee'
   const mappingForFile = ivsMapping[fileKey];
   if (!mappingForFile) {
-    console.error("No IV mapping found for", fileKey);
-    return;
+    throw reportTamper({ reason: "missing-key-material", message: "No IV mapping found for " + fileKey, file: fileKey });
   }
-  if (!mappingForFile.mask) {
-    console.error("No mask found for", fileKey);
-    return;
+  // Builds without KEY_DERIVATION derive the keys as the XOR of the branch hashes with a "mask"
+  const keyDerivation = typeof KEY_DERIVATION !== "undefined" ? KEY_DERIVATION : "xor";
+  const secretName = keyDerivation === "xor" ? "mask" : "salt";
+  if (keyDerivation !== "hkdf-sha256" && keyDerivation !== "xor") {
+    throw reportTamper({ reason: "missing-key-material", message: "Unsupported key derivation " + keyDerivation, file: fileKey });
+  }
+  if (!mappingForFile[secretName]) {
+    throw reportTamper({ reason: "missing-key-material", message: "No " + secretName + " found for " + fileKey, file: fileKey });
   }
 
   // Reconstruct the branch from the dependency tree for fileKey.
   // Collect only files that are non-router-dependent.
   let branchFiles = [];
   let visited = new Set();
-  for (const f in dependencyTree) {
-    if (f.endsWith(fileKey)) {
-      if (!dependencyTree[f].routerDependant && !visited.has(f)) {
-        branchFiles.push(f);
-		visited.add(dep);
-      }
-      (function collectDeps(node) {
-        for (const dep in node.dependencies) {
-          if (!node.dependencies[dep].routerDependant && !visited.has(dep)) {
-            branchFiles.push(dep);
-			visited.add(dep);
-          }
-          collectDeps(node.dependencies[dep]);
+  if (dependencyTree[fileKey]) {
+    (function collectDeps(node) {
+      for (const dep in node.dependencies) {
+        if (!node.dependencies[dep].routerDependant && !visited.has(dep)) {
+          branchFiles.push(dep);
+		  visited.add(dep);
         }
-      })(dependencyTree[f]);
-      break;
-    }
+        collectDeps(node.dependencies[dep]);
+      }
+    })(dependencyTree[fileKey]);
   }
   if (branchFiles.length === 0) {
-    console.error("No dependency branch found for", fileKey);
-    return;
+    throw reportTamper({ reason: "missing-key-material", message: "No dependency branch found for " + fileKey, file: fileKey });
   }
 
-  // Reconstruct the encryption key as the XOR of the hashes for all non-router-dependent files in branchFiles.
-  let xorResult = new Uint8Array(32);
+  // Collect the hashes computed by the extension for all non-router-dependent files in branchFiles.
+  const branchHashes = {};
   branchFiles.forEach(file => {
-    // Extract just the file name (works for both "/" and "\")
-    const fileName = file.split(/[\\/]/).pop();
-    const hashHex = window.globalHashes[fileName];
+    const hashHex = getLoadedHash(file);
     if (hashHex) {
-      xorResult = xorBuffers(xorResult, hexStringToUint8Array(hashHex));
+      branchHashes[file] = hashHex;
     }
   });
-  if (!xorResult) {
-    console.error("No hashes found for branch", branchFiles);
-    return;
+
+  // Look up the IV corresponding to the callString in the mapping.
+  let ivBase64 = null;
+  // The mappingForFile also contains the "salt" (or "mask") field; we iterate over other keys.
+  for (const key in mappingForFile) {
+    if (key === secretName) continue;
+    if (key === callString) {
+      ivBase64 = mappingForFile[key];
+      break;
+    }
+  }
+  if (!ivBase64) {
+    throw reportTamper({ reason: "missing-key-material", message: "No IV found for encrypted call string " + callString, file: fileKey });
   }
 
-  // Retrieve the mask from mappingForFile and XOR it with the xorResult to get the final key.
-  const maskBuffer = hexStringToUint8Array(mappingForFile.mask);
-  const finalKeyRaw = xorBuffers(xorResult, maskBuffer);
-  console.log("xorOfHashes (hex):", uint8ArrayToHexString(xorResult));
-  console.log("Final key (hex):", uint8ArrayToHexString(finalKeyRaw));
+  // The first byte of the payload is the version of the ciphertext format: the call strings of
+  // builds older than this router (AES-CBC) have none, those of newer builds another one.
+  const payload = new Uint8Array(base64ToArrayBuffer(callString));
+  if (payload[0] !== CIPHERTEXT_VERSION) {
+    throw reportTamper({
+      reason: "unsupported-version",
+      message: "Unsupported ciphertext version " + payload[0] + " (expected " + CIPHERTEXT_VERSION +
+        ") for the call from " + fileKey + ": the page mixes files of different builds, recompile the project",
+      file: fileKey
+    });
+  }
 
-  // Import the final key as a CryptoKey for AES-CBC decryption.
-  const rawKey = finalKeyRaw.buffer.slice(finalKeyRaw.byteOffset, finalKeyRaw.byteOffset + finalKeyRaw.byteLength);
-  window.crypto.subtle.importKey(
-    "raw",
-    rawKey,
-    { name: "AES-CBC" },
-    false,
-    ["decrypt"]
-  ).then(cryptoKey => {
-    // Look up the IV corresponding to the callString in the mapping.
-    let ivBase64 = null;
-    // The mappingForFile now contains a "mask" field; we iterate over other keys.
-    for (const key in mappingForFile) {
-      if (key === "mask") continue;
-      if (key === callString) {
-        ivBase64 = mappingForFile[key];
-        break;
-      }
-    }
-    if (!ivBase64) {
-      console.error("No IV found for encrypted call string", callString);
-      return;
-    }
+  // Derive the final key with the scheme of the build, then import it as a CryptoKey for AES-GCM decryption.
+  return deriveKey(keyDerivation, branchHashes, hexStringToUint8Array(mappingForFile[secretName]), fileKey).then(finalKeyRaw => {
+    const rawKey = finalKeyRaw.buffer.slice(finalKeyRaw.byteOffset, finalKeyRaw.byteOffset + finalKeyRaw.byteLength);
+    return window.crypto.subtle.importKey(
+      "raw",
+      rawKey,
+      { name: "AES-GCM" },
+      false,
+      ["decrypt"]
+    );
+  }).then(cryptoKey => {
     const iv = base64ToArrayBuffer(ivBase64);
-    const ciphertextBuffer = base64ToArrayBuffer(callString);
-
+    // The version byte and the callee are authenticated along with the ciphertext
     return window.crypto.subtle.decrypt(
-      { name: "AES-CBC", iv: iv },
+      { name: "AES-GCM", iv: iv, additionalData: getAssociatedData(fileKey) },
       cryptoKey,
-      ciphertextBuffer
-    );
+      payload.subarray(1)
+    ).catch(err => {
+      if (err && err.name === "OperationError") {
+        throw reportTamper({
+          reason: "tampered-ciphertext",
+          message: "Tampered ciphertext: the call from " + fileKey + " failed authentication " +
+            "(its call string, its IV or a file of its dependency branch was modified)",
+          file: fileKey
+        });
+      }
+      throw err;
+    });
   }).then(plaintextBuffer => {
     const decoder = new TextDecoder();
-    const plaintext = decoder.decode(plaintextBuffer);
+    const envelope = JSON.parse(decoder.decode(plaintextBuffer));
+    const encryptedFor = "call site #" + envelope.site + " of " + envelope.caller;
+    if (envelope.caller !== fileKey) {
+      throw reportTamper({
+        reason: "wrong-caller",
+        message: "Refusing the call with callee " + fileKey + ": its call string was encrypted for " + encryptedFor,
+        file: fileKey
+      });
+    }
+    if (!invokingFrame || invokingFrame.file === null) {
+      throw reportTamper({
+        reason: "wrong-caller",
+        message: "Refusing the call from outside the files of the application: its call string was encrypted for " + encryptedFor,
+        file: null
+      });
+    }
+    if (invokingFrame.file !== envelope.caller) {
+      throw reportTamper({
+        reason: "wrong-caller",
+        message: "Refusing the call from " + invokingFrame.file + ": its call string was encrypted for " + encryptedFor,
+        file: invokingFrame.file
+      });
+    }
+    // The builds older than CALL_SITES_BASE64 only bind the call strings to their file
+    if (typeof CALL_SITES_BASE64 !== "undefined" &&
+        getCallSite(JSON.parse(window.atob(CALL_SITES_BASE64)), invokingFrame) !== envelope.site) {
+      throw reportTamper({
+        reason: "wrong-caller",
+        message: "Refusing the call from " + invokingFrame.file + ":" + invokingFrame.line + ":" + invokingFrame.column +
+          ": its call string was encrypted for " + encryptedFor,
+        file: invokingFrame.file
+      });
+    }
+	called = true;
 	if(args.length === 0){
-		parseAndCall(plaintext,callee);
+		return parseAndCall(envelope.call,callee,dependencyTree);
 	}else{
-		parseAndCall(plaintext,callee,args);
+		return parseAndCall(envelope.call,callee,dependencyTree,...args);
 	}
 
   }).catch(err => {
-    console.error("Decryption failed:", err);
+    // The tamperings already reported, and the errors of the called function, reject as they are
+    if (err instanceof TamperError || called) throw err;
+    throw reportTamper({ reason: "decryption-failed", message: "Decryption failed: " + (err.message || err), file: fileKey });
   });
 }
 
+/**
+ * Helper: Derives the 32-byte key of fileKey from the hashes of its branch files, as the builder does:
+ *  - "hkdf-sha256": HKDF-SHA-256 over the [path, hash] pairs sorted by path (in JSON), with the salt
+ *    of the file and its path as info;
+ *  - "xor": the XOR of the hashes with the mask of the file.
+ * Returns a Promise of a Uint8Array.
+ */
+function deriveKey(keyDerivation, branchHashes, secret, fileKey) {
+  if (keyDerivation === "xor") {
+    let xorResult = new Uint8Array(32);
+    for (const file in branchHashes) {
+      xorResult = xorBuffers(xorResult, hexStringToUint8Array(branchHashes[file]));
+    }
+    return Promise.resolve(xorBuffers(xorResult, secret));
+  }
+  const encoder = new TextEncoder();
+  const keyMaterial = JSON.stringify(Object.keys(branchHashes).sort().map(file => [file, branchHashes[file]]));
+  return window.crypto.subtle.importKey(
+    "raw",
+    encoder.encode(keyMaterial),
+    "HKDF",
+    false,
+    ["deriveBits"]
+  ).then(baseKey => window.crypto.subtle.deriveBits(
+    { name: "HKDF", hash: "SHA-256", salt: secret, info: encoder.encode(fileKey) },
+    baseKey,
+    256
+  )).then(bits => new Uint8Array(bits));
+}
+
+/**
+ * Helper: Builds the associated data authenticated along with a call string: the version byte
+ * followed by the path of the callee (e.g. "file2.js"), as the builder does.
+ */
+function getAssociatedData(fileKey) {
+  const fileKeyBytes = new TextEncoder().encode(fileKey);
+  const associatedData = new Uint8Array(1 + fileKeyBytes.length);
+  associatedData[0] = CIPHERTEXT_VERSION;
+  associatedData.set(fileKeyBytes, 1);
+  return associatedData;
+}
+
 /**
  * Helper: Converts a hex string to a Uint8Array.
  */
@@ -187,15 +473,22 @@ function uint8ArrayToHexString(uint8arr) {
     .join('');
 }
 
-function parseAndCall(callString, caller, ...args) {
-   const parts = callString.split("-");
-   const fileIdentifier = parts[0];   // ad es. "file3"
+// Chiama la funzione indicata dalla stringa di chiamata decifrata e restituisce il suo valore di ritorno
+function parseAndCall(callString, caller, dependencyTree, ...args) {
+   // L'identificativo del file è il suo percorso relativo (ad es. "testdep/file4.js"), che può
+   // contenere dei "-": si cerca il file più lungo dell'albero delle dipendenze che prefissa la stringa
+   let fileIdentifier = callString.split("-")[0];
+   for (const file in dependencyTree) {
+     if (callString.startsWith(file + "-") && file.length > fileIdentifier.length) {
+       fileIdentifier = file;
+     }
+   }
+   const parts = [fileIdentifier].concat(callString.slice(fileIdentifier.length + 1).split("-"));
    const functionName = parts[1];  // ad es. "funzioneDiFile3"
    if(args.length === 0){
 	  // Divide la stringa in 4 parti separate da "-"
 	  if (parts.length !== 4) {
-		console.error("Formato della stringa non valido:", callString);
-		return;
+		throw reportTamper({ reason: "invalid-call", message: "Formato della stringa non valido: " + callString, file: fileIdentifier });
 	  }
   
 	  const paramTypesStr = parts[2];      // ad es. "string,string,boolean" oppure "null"
@@ -210,8 +503,7 @@ function parseAndCall(callString, caller, ...args) {
 		const values = paramValuesStr.split(",");
 
 		if (types.length !== values.length) {
-		  console.error("Numero di tipi e valori non corrispondente");
-		  return;
+		  throw reportTamper({ reason: "invalid-call", message: "Numero di tipi e valori non corrispondente", file: fileIdentifier });
 		}
 
 		// Converte ogni valore nel tipo corrispondente
@@ -243,21 +535,36 @@ function parseAndCall(callString, caller, ...args) {
 	  // Messaggio facoltativo: puoi usare fileIdentifier per controlli aggiuntivi
 	  console.log("Chiamata proveniente da:", caller);
 
-	  // Verifica l'esistenza della funzione in window e la chiama con i parametri (se presenti)
-	  if (typeof window[functionName] === 'function') {
-		window[functionName](...params);
+	  // Verifica l'esistenza della funzione e la chiama con i parametri (se presenti)
+	  const targetFunction = resolveTargetFunction(fileIdentifier, functionName);
+	  if (targetFunction) {
+		return targetFunction(...params);
 	  } else {
-		console.error("La funzione " + functionName + " non esiste in window.");
+		throw reportTamper({ reason: "unknown-function", message: "La funzione " + functionName + " non esiste in window né tra gli export di " + fileIdentifier + ".", file: fileIdentifier });
 	  }
 	}else{
-	  if (typeof window[functionName] === 'function') {
-		window[functionName](...args);
+	  const targetFunction = resolveTargetFunction(fileIdentifier, functionName);
+	  if (targetFunction) {
+		return targetFunction(...args);
 	  } else {
-		console.error("La funzione " + functionName + " non esiste in window.");
+		throw reportTamper({ reason: "unknown-function", message: "La funzione " + functionName + " non esiste in window né tra gli export di " + fileIdentifier + ".", file: fileIdentifier });
 	  }
 	}	
 }
 
+// Cerca la funzione da chiamare: prima tra gli export del modulo ES registrati dal builder
+// in window.routerModuleExports (le funzioni dei moduli non sono globali), poi in window
+function resolveTargetFunction(fileIdentifier, functionName) {
+  const moduleExports = window.routerModuleExports && window.routerModuleExports[fileIdentifier];
+  if (moduleExports && typeof moduleExports[functionName] === 'function') {
+    return moduleExports[functionName];
+  }
+  if (typeof window[functionName] === 'function') {
+    return window[functionName];
+  }
+  return null;
+}
+
 
 // Funzione per decodificare e parsare l’oggetto
 function decodePrecomputedHashes(encodedStr) {
@@ -270,8 +577,9 @@ function decodePrecomputedHashes(encodedStr) {
   }
 }
 
-// Funzione per mostrare overlay
+// Funzione per mostrare overlay (una sola volta, con i testi di TAMPER_CONFIG)
 function showTamperOverlay() {
+  if (document.getElementById('tamper-overlay')) return;
   const overlay = document.createElement('div');
   overlay.id = 'tamper-overlay';
   overlay.style.position = 'fixed';
@@ -288,35 +596,177 @@ function showTamperOverlay() {
   overlay.style.fontFamily = 'sans-serif';
   overlay.style.fontSize = '1.2rem';
   overlay.style.zIndex = '9999';
-  overlay.innerHTML = `
-    <h1>⚠️ Codice Alterato</h1>
-    <p>Il contenuto di uno o più file JavaScript è stato modificato.</p>
-    <p>Accesso alla pagina bloccato.</p>
-  `;
+  const title = document.createElement('h1');
+  title.textContent = TAMPER_CONFIG.overlayTitle;
+  const message = document.createElement('p');
+  message.textContent = TAMPER_CONFIG.overlayMessage;
+  const blocked = document.createElement('p');
+  blocked.textContent = "Accesso alla pagina bloccato.";
+  overlay.append(title, message, blocked);
   document.body.appendChild(overlay);
   document.body.style.overflow = 'hidden';
 }
 
+// URL di Router.js, senza query string e frammento
+const ROUTER_URL = document.currentScript ? document.currentScript.src.split(/[?#]/)[0] : "";
+
+// URL della radice dell'applicazione: l'URL di Router.js senza il suo percorso relativo (ROUTER_PATH)
+const ROUTER_BASE_URL = (function () {
+  const routerUrl = ROUTER_URL;
+  if (routerUrl.endsWith("/" + ROUTER_PATH)) {
+    return routerUrl.slice(0, routerUrl.length - ROUTER_PATH.length);
+  }
+  return new URL(".", routerUrl || window.location.href).href;
+})();
+
+// Restituisce lo stack frame che ha invocato routerForwardCall, cioè il primo dello stack delle
+// chiamate in uno script diverso da Router.js, come { file, line, column }: file è il percorso
+// relativo dello script, oppure null se non è un file dell'applicazione. Restituisce null se lo stack
+// non ne riporta nessuno (gli stack di Chrome, "at f (URL:riga:colonna)", e di Firefox,
+// "f@URL:riga:colonna", riportano gli URL allo stesso modo, con le colonne contate da 1)
+function getInvokingFrame() {
+  const frames = (new Error().stack || "").match(/(?:https?|file):\/\/[^\s()]+:\d+:\d+/g) || [];
+  for (const frame of frames) {
+    const [, url, line, column] = frame.match(/^(.*):(\d+):(\d+)$/);
+    const fileUrl = url.split(/[?#]/)[0];
+    if (fileUrl === ROUTER_URL) continue;
+    const file = fileUrl.startsWith(ROUTER_BASE_URL) ? decodeURIComponent(fileUrl.slice(ROUTER_BASE_URL.length)) : null;
+    return { file, line: Number(line), column: Number(column) };
+  }
+  return null;
+}
+
+// Restituisce il numero del punto di chiamata (1 per la prima chiamata di routerForwardCall del file,
+// come nell'envelope) che contiene la posizione di uno stack frame, secondo la mappa di
+// CALL_SITES_BASE64, oppure null se nessuno la contiene. Una chiamata annidata negli argomenti di
+// un'altra inizia dopo di essa, quindi vince l'ultima che contiene la posizione
+function getCallSite(callSites, frame) {
+  const before = (line, column, otherLine, otherColumn) => line < otherLine || (line === otherLine && column < otherColumn);
+  let site = null;
+  (callSites[frame.file] || []).forEach(([startLine, startColumn, endLine, endColumn], i) => {
+    if (!before(frame.line, frame.column, startLine, startColumn) && before(frame.line, frame.column, endLine, endColumn)) {
+      site = i + 1;
+    }
+  });
+  return site;
+}
+
+// Restituisce l'hash calcolato dall'estensione per un URL
+// (window.globalHashes è indicizzato per URL; query string e frammenti vengono ignorati)
+function getLoadedHashForUrl(fileUrl) {
+  fileUrl = fileUrl.split(/[?#]/)[0];
+  for (const url in window.globalHashes) {
+    if (url.split(/[?#]/)[0] === fileUrl) {
+      return window.globalHashes[url];
+    }
+  }
+  return undefined;
+}
+
+// Restituisce l'hash calcolato dall'estensione per un file, dato il suo percorso relativo
+function getLoadedHash(relativePath) {
+  return getLoadedHashForUrl(new URL(relativePath, ROUTER_BASE_URL).href);
+}
+
+// Restituisce il percorso relativo della pagina corrente, come nelle chiavi di PAGE_HASHES_BASE64
+// (l'URL di una cartella indica la sua pagina index.html o index.htm), oppure null se la pagina non
+// fa parte dell'applicazione
+function getCurrentPagePath(pageHashes) {
+  const pageUrl = window.location.href.split(/[?#]/)[0];
+  if (!pageUrl.startsWith(ROUTER_BASE_URL)) return null;
+  const pagePath = decodeURIComponent(pageUrl.slice(ROUTER_BASE_URL.length));
+  if (pagePath !== "" && !pagePath.endsWith("/")) return pagePath;
+  return [pagePath + "index.html", pagePath + "index.htm"].find(indexPath => indexPath in pageHashes) || null;
+}
+
+// Calcola l'hash SHA-256 (esadecimale) di un testo
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Calcola gli hash degli script inline della pagina, nell'ordine del documento, una volta che il
+// documento è stato letto per intero
+async function getInlineScriptHashes() {
+  if (document.readyState === "loading") {
+    await new Promise(resolve => document.addEventListener("DOMContentLoaded", resolve, { once: true }));
+  }
+  const scripts = Array.from(document.querySelectorAll("script:not([src])"));
+  return Promise.all(scripts.map(script => sha256Hex(script.textContent)));
+}
+
 // Funzione principale per il controllo
-function verifyHashes() {
+async function verifyHashes() {
   const precomputed = decodePrecomputedHashes(PRECOMPUTED_HASHES_BASE64);
-  const simplifiedPrecomputed = {};
-
-  // Mappa { fileName: hash } dai path completi
-  for (const fullPath in precomputed) {
-	const fileName = fullPath.split('\\').pop(); // prendi solo "file1.js" da path
-	simplifiedPrecomputed[fileName] = precomputed[fullPath];
+  // Da qui in poi ogni routerForwardCall viene rifiutata
+  const mismatch = details => {
+    hashVerificationFailure = details;
+    reportTamper(details);
+  };
+
+  // La pagina corrente, con i suoi script inline (PAGE_HASHES_BASE64 e ASSET_HASHES_BASE64 mancano
+  // nelle build precedenti)
+  const pageHashes = typeof PAGE_HASHES_BASE64 !== "undefined" ? decodePrecomputedHashes(PAGE_HASHES_BASE64) : {};
+  let expected;
+  if (Object.keys(pageHashes).length > 0) {
+    const pagePath = getCurrentPagePath(pageHashes);
+    expected = pagePath !== null ? pageHashes[pagePath] : undefined;
+    if (!expected) {
+      return mismatch({ reason: "unknown-page", message: `La pagina ${window.location.href} non è una delle pagine dell'applicazione`, file: pagePath });
+    }
+    const actualHash = getLoadedHashForUrl(window.location.href);
+    if (actualHash !== expected.hash) {
+      return mismatch({
+        reason: actualHash === undefined ? "hashes-unavailable" : "page-mismatch",
+        message: `Mismatch per la pagina ${pagePath}: atteso ${expected.hash}, trovato ${actualHash}`,
+        file: pagePath, expectedHash: expected.hash, actualHash
+      });
+    }
+    const inlineHashes = await getInlineScriptHashes();
+    if (inlineHashes.length !== expected.inlineScripts.length) {
+      return mismatch({
+        reason: "inline-script-mismatch",
+        message: `La pagina ${pagePath} contiene ${inlineHashes.length} script inline, attesi ${expected.inlineScripts.length}`,
+        file: pagePath
+      });
+    }
+    const changed = inlineHashes.findIndex((hash, i) => hash !== expected.inlineScripts[i]);
+    if (changed !== -1) {
+      return mismatch({
+        reason: "inline-script-mismatch",
+        message: `Mismatch per lo script inline n. ${changed + 1} della pagina ${pagePath}`,
+        file: pagePath, expectedHash: expected.inlineScripts[changed], actualHash: inlineHashes[changed]
+      });
+    }
   }
 
-  // Confronta con window.globalHashes
-  for (const file in simplifiedPrecomputed) {
-    const actualHash = window.globalHashes[file];
-    const expectedHash = simplifiedPrecomputed[file];
+  // Confronta con window.globalHashes (precomputed è indicizzato per percorso relativo) gli script
+  // che la pagina carica: gli altri sono script di altre pagine. Le build che non li dichiarano per
+  // pagina richiedono tutti gli script
+  const files = expected && expected.scripts ? expected.scripts : Object.keys(precomputed);
+  for (const file of files) {
+    const actualHash = getLoadedHash(file);
+    const expectedHash = precomputed[file];
 
     if (!expectedHash || actualHash !== expectedHash) {
-      console.warn(`Mismatch per ${file}: atteso ${expectedHash}, trovato ${actualHash}`);
-      showTamperOverlay();
-      return;
+      return mismatch({
+        reason: actualHash === undefined ? "hashes-unavailable" : "hash-mismatch",
+        message: `Mismatch per ${file}: atteso ${expectedHash}, trovato ${actualHash}`,
+        file, expectedHash, actualHash
+      });
+    }
+  }
+
+  // Le risorse che la pagina non carica non hanno un hash da confrontare
+  const assetHashes = typeof ASSET_HASHES_BASE64 !== "undefined" ? decodePrecomputedHashes(ASSET_HASHES_BASE64) : {};
+  for (const file in assetHashes) {
+    const actualHash = getLoadedHash(file);
+    if (actualHash !== undefined && actualHash !== assetHashes[file]) {
+      return mismatch({
+        reason: "asset-mismatch",
+        message: `Mismatch per ${file}: atteso ${assetHashes[file]}, trovato ${actualHash}`,
+        file, expectedHash: assetHashes[file], actualHash
+      });
     }
   }
 
@@ -342,13 +792,14 @@ function waitForGlobalHashes(timeout = 5000, interval = 100) {
 }
 
 // Avvia il check all’avvio del file
-// Esegui il check solo quando globalHashes è disponibile
+// Esegui il check solo quando globalHashes è disponibile: senza gli hash dell'estensione (plugin
+// non caricato) l'applicazione è considerata manomessa. Gli errori di verifyHashes (come la
+// TamperError della politica "throw") non vengono intercettati
 waitForGlobalHashes()
   .then(() => {
-    verifyHashes(); // la tua funzione già pronta
-  })
-  .catch((err) => {
-    console.error(err);
-    showTamperOverlay(); // opzionale: blocca se plugin non caricato
+    return verifyHashes(); // la tua funzione già pronta
+  }, (err) => {
+    hashVerificationFailure = { reason: "hashes-unavailable", message: err.message, file: null, expectedHash: null, actualHash: null };
+    reportTamper(hashVerificationFailure);
   });
 